@@ -0,0 +1,57 @@
+/**
+ * Copyright (c) 2018, Neap Pty Ltd.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+*/
+
+// Diagnostics:
+// ============
+// 	Problems found in an enriched schema are reported as errors decorated with a code, a severity, the path of the
+// 	schema type/field they relate to and their location. By default, the first error is thrown. When errors are
+// 	collected instead, they are converted into plain diagnostic objects (see 'getDiagnostics').
+
+const _ = require('lodash')
+
+const SEVERITY = { ERROR: 'error', WARNING: 'warning' }
+
+/**
+ * Creates an error describing a problem found in an enriched schema.
+ *
+ * @param  {String}   code     	e.g. 'UNKNOWN_TYPE'
+ * @param  {String}   message  	e.g. 'Type \'Author\' cannot be found in the schema.'
+ * @param  {String}   severity 	'error' (default) or 'warning'
+ * @param  {[String]} path     	e.g. ['Post', 'author']
+ * @param  {Object}   loc      	e.g. { start: { line: 2, column: 3 }, end: { line: 2, column: 17 } }
+ * @return {Error}    output  	Error whose message is prefixed with 'Schema error: '.
+ */
+const createSchemaError = ({ code, message, severity=SEVERITY.ERROR, path=[], loc=null }) =>
+	Object.assign(new Error(`Schema error: ${message}`), { code, severity, path, loc })
+
+const _getDiagnostic = error => ({
+	code: error.code || 'SCHEMA_ERROR',
+	message: (error.message || '').replace(/^Schema error: /, ''),
+	severity: error.severity || SEVERITY.ERROR,
+	path: error.path || [],
+	loc: error.loc || null
+})
+
+/**
+ * Converts collected errors into diagnostics. Duplicates are removed and diagnostics are sorted by file and location
+ * (the ones without location come last).
+ *
+ * @param  {[Error]}  errors 	Errors created with 'createSchemaError' (or any other error).
+ * @return {[Object]} output 	[{ code: String, message: String, severity: String, path: [String], loc: Object }]
+ */
+const getDiagnostics = errors => _.sortBy(
+	_.uniqBy((errors || []).map(_getDiagnostic), d => JSON.stringify(d)),
+	d => d.loc && d.loc.source ? d.loc.source : '',
+	d => d.loc ? d.loc.start.line : Infinity,
+	d => d.loc ? d.loc.start.column : Infinity)
+
+module.exports = {
+	SEVERITY,
+	createSchemaError,
+	getDiagnostics
+}
@@ -8,300 +8,238 @@
 
 // Inheritance:
 // ============
-// 	_getObjWithExtensions: This function is the one that compiles types that inherits from others. 
+// 	_resolveSchemaType: This function is the one that compiles types that inherits from others. 
 // 	
 // Generic Types:
 // ==============
-// 	_createNewSchemaObjectFromGeneric: This function is the one that creates new types from Generic Types.
+// 	_resolveGenericType: This function is the one that creates new types from Generic Types.
 
 const _ = require('lodash')
-const { chain, log, escapeGraphQlSchema, getQueryAST, buildQuery, newShortId, isScalarType } = require('./utilities')
-const { extractGraphMetadata, removeGraphMetadata } = require('./graphmetadata')
-
-const GENERICTYPEREGEX = /<(.*?)>/
-const TYPENAMEREGEX = /type\s(.*?){/
-const INPUTNAMEREGEX = /input\s(.*?){/
-const ENUMNAMEREGEX = /enum\s(.*?){/
-const INTERFACENAMEREGEX = /interface\s(.*?){/
-const ABSTRACTNAMEREGEX = /abstract\s(.*?){/
-const INHERITSREGEX = /inherits\s+[\w<>]+(?:\s*,\s*\w+)*/g
-const IMPLEMENTSREGEX = /implements\s(.*?)\{/mg
-const PROPERTYPARAMSREGEX = /\((.*?)\)/
-
-const TYPE_REGEX = { regex: /(extend type|type)\s(.*?){(.*?)░([^#]*?)}/mg, type: 'type' }
-const INPUT_REGEX = { regex: /(extend input|input)\s(.*?){(.*?)░([^#]*?)}/mg, type: 'input' }
-const ENUM_REGEX = { regex: /enum\s(.*?){(.*?)░([^#]*?)}/mg, type: 'enum' }
-const INTERFACE_REGEX = { regex: /(extend interface|interface)\s(.*?){(.*?)░([^#]*?)}/mg, type: 'interface' }
-const ABSTRACT_REGEX = { regex: /(extend abstract|abstract)\s(.*?){(.*?)░([^#]*?)}/mg, type: 'abstract' }
-const SCALAR_REGEX = { regex: /(.{1}|.{0})scalar\s(.*?)([^\s]*?)(?![a-zA-Z0-9])/mg, type: 'scalar' }
-const UNION_REGEX = { regex: /(.{1}|.{0})union([^\n]*?)\n/gm, type: 'union' }
-
-const carrReturnEsc = '░'
-const tabEsc = '_t_'
-
-let _s = {}
-const escapeGraphQlSchemaPlus = (sch, cr, t) => {
-	if (!sch)
-		return sch
-
-	if (!_s[sch])
-		_s[sch] = escapeGraphQlSchema(sch, cr, t)
-
-	return _s[sch]
-}
-
-const escapeDirectives = (str, metadata) => {
-	const directives = (metadata || [])
-		.filter(({ directiveValues }) => directiveValues && directiveValues[0] && directiveValues[0].id && directiveValues[0].value)
-		.reduce((acc, { directiveValues }) => {
-			acc.push(...directiveValues)
-			return acc
-		}, [])
-
-	return directives.reduce((acc,{ id, value }) => {
-		acc[0] = acc[0].replace(value, id)
-		acc[1].push({ id, value })
-		return acc
-	},[str, []])
-}
-
-/**
- * Gets a first rough breakdown of the string schema.
- * 
- * @param  {String}  sch 								Original GraphQl Schema
- * @param  {String}  metadata[].name					e.g., "cypher"
- * @param  {String}  metadata[].body
- * @param  {Boolean} metadata[].directive
- * @param  {String}  metadata[].directiveValues[].id	e.g., "_RghS1T9k5_"
- * @param  {String}  metadata[].directiveValues[].value	e.g., "@cypher(statement: \"CREATE (a:Area {name: $name, creationDate: timestamp()}) RETURN a\")"
- * @return {Array}      								Using regex, the interfaces, types, inputs, enums and abstracts entities are isolated
- *                                    					e.g. [{
- *                      										property: 'type Query { bars: [Bar]! }',
- *                      										block: [ 'bars: [Bar]!' ],
- *                      										extend: false
- *                      									},{
- *                      										property: 'type Bar { id: ID }',
- *                      										block: [ 'id: ID' ],
- *                      										extend: false
- *                      									}]
- */
-const _getSchemaBits = (sch='', metadata) => {
-	const escapedSchemaWithComments = escapeGraphQlSchemaPlus(sch, carrReturnEsc, tabEsc)
-
-	const comments = [
-		...(escapedSchemaWithComments.match(/#(.*?)░/g) || []),
-		...(escapedSchemaWithComments.match(/"""░(.*?)░\s*"""░/g) || []),
-		...(escapedSchemaWithComments.match(/"([^"]+)"░/g) || []),
-	]
-	const { schema:escSchemaWithEscComments, tokens } = comments.reduce((acc,m) => {
-		const commentToken = `#${newShortId()}░`
-		acc.schema = acc.schema.replace(m, commentToken)
-		acc.tokens.push({ id: commentToken, value: m })
-		return acc
-	}, { schema: escapedSchemaWithComments, tokens: [] })
-	
-	// We append '\n' to help isolating the 'union'
-	const schemaWithoutComments = ' ' + sch.replace(/#(.*?)\n/g, '').replace(/"""\s*\n([^]*?)\n\s*"""\s*\n/g, '').replace(/"([^"]+)"\n/g, '') + '\n'
-	const escapedSchemaWithoutComments = escapeGraphQlSchemaPlus(schemaWithoutComments, carrReturnEsc, tabEsc)
-	const [escapedSchemaWithEscCommentsAndDirectives, directives] = escapeDirectives(escSchemaWithEscComments, metadata)
-
-	return _.flatten([TYPE_REGEX, INPUT_REGEX, ENUM_REGEX, INTERFACE_REGEX, ABSTRACT_REGEX, SCALAR_REGEX, UNION_REGEX]
-	.map(rx => {
-		// 1. Apply the regex matching
-		return chain((
-			rx.type == 'scalar' ? escapedSchemaWithoutComments :
-			rx.type == 'union' ? schemaWithoutComments :
-			escapedSchemaWithEscCommentsAndDirectives).match(rx.regex) || [])
-		// 2. Filter the right matches
-		.next(regexMatches => 
-			rx.type == 'scalar' ? regexMatches.filter(m => m.indexOf('scalar') == 0 || m.match(/^(?![a-zA-Z0-9])/)) :
-			rx.type == 'union' ? regexMatches.filter(m => m.indexOf('union') == 0 || m.match(/^(?![a-zA-Z0-9])/)) : regexMatches)
-		// 3. Replace the escaped comments with their true value
-		.next(regexMatches => regexMatches.map(b => (b.match(/#(.*?)░/g) || []).reduce((acc,m) => {
-			const value = (tokens.find(t => t.id == m) || {}).value
-			return value ? acc.replace(m, value) : acc
-		}, b)))
-		// 4. Breackdown each match into 'property', 'block' and 'extend'
-		.next(regexMatches => {
-			const transform =
-				rx.type == 'scalar' ? _breakdownScalarBit :
-				rx.type == 'union' ? _breakdownUnionBit : (str => _breakdownSchemabBit(str, directives))
-			return regexMatches.map(str => transform(str))
-		})
-		.val()}))
-}
+const { chain, getQueryAST, buildQuery, isScalarType } = require('./utilities')
+const { extractGraphMetadata, getTypeMetadata, getPropertyMetadata } = require('./graphmetadata')
+const { parse, parseTypeReference, printTypeReference, parseArgumentValues, getDefinitionName } = require('./parser')
+const { createSourceMap, getOriginalPosition } = require('./sourcemap')
+const { SEVERITY, createSchemaError, getDiagnostics } = require('./diagnostics')
+const { loadSchema, removeImports } = require('./loader')
 
-const _breakdownSchemabBit = (str, directives) => {
-	directives = directives || []
-	const blockMatch = str.match(/{(.*?)░([^#]*?)}/)
-	if (!blockMatch) {
-		const msg = 'Schema error: Missing block'
-		log(msg)
-		throw new Error(msg)
-	}
+/**
+ * Flattens comments and descriptions into text where each line is trimmed. 
+ * 
+ * @param  {Array}  comments 	Comments returned by the parser (e.g. [{ kind: 'COMMENT', value: '# Hello' }]).
+ * @param  {String} separator 	Line separator.
+ * @return {String}           	Text.
+ */
+const _getCommentText = (comments, separator) => _.flatten((comments || []).map(c => c.value.split('\n')))
+	.map(line => line.trim())
+	.filter(line => line)
+	.join(separator)
 
-	const [blockWithDirectives, rawProperty] = directives.reduce((acc, { id, value }) => {
-		acc[0] = acc[0].replace(id,value)
-		acc[1] = acc[1].replace(id,value)
-		return acc
-	}, [blockMatch[0], str.split(carrReturnEsc).join(' ').split(tabEsc).join(' ').replace(/ +(?= )/g,'').trim()])
+/**
+ * Gets the position in the enriched schema of each line returned by '_getCommentText'. 
+ * 
+ * @param  {Array}  comments 	Comments returned by the parser.
+ * @return {Array}           	e.g. [{ line: 3, column: 5 }]
+ */
+const _getCommentPositions = comments => _.flatten((comments || []).map(c => c.value.split('\n').map((line, idx) => ({
+	line,
+	position: c.loc ? { line: c.loc.start.line + idx, column: idx == 0 ? c.loc.start.column : line.match(/^\s*/)[0].length + 1 } : null
+}))))
+	.filter(({ line }) => line.trim())
+	.map(({ position }) => position)
 
-	const block = _.toArray(_(blockWithDirectives.replace(/_t_/g, '').replace(/^{/,'').replace(/}$/,'').split(carrReturnEsc).map(x => x.trim())).filter(x => x != ''))
+/**
+ * Gets all the comments associated to the schema blocks. 
+ * 
+ * @param  {Array}  definitions					Definitions returned by the parser.
+ * @return {String} output[].text				Comment
+ * @return {Array}  output[].positions			Position of each line of the comment (e.g. [{ line: 3, column: 1 }]).
+ * @return {String} output[].property.type		Valid values: 'TYPE', 'ENUM', 'INPUT', 'INTERFACE', 'UNION', 'SCALAR'
+ * @return {String} output[].property.name		Property name (e.g., 'User' if the block started with 'type User {').
+ */
+const _getCommentsBits = definitions => definitions
+	.filter(def => !def.extend && def.comments.length > 0)
+	.map(def => ({ 
+		text: _getCommentText(def.comments, '\n'), 
+		positions: _getCommentPositions(def.comments), 
+		property: { type: def.kind, name: getDefinitionName(def) } 
+	}))
 
-	const { property, extend } = rawProperty.indexOf('extend') == 0
-		? { property: rawProperty.replace('extend ', ''), extend: true }
-		: { property: rawProperty, extend: false }
-	return { property, block, extend }
-}
+/**
+ * Gets the named type of a type reference, i.e. without its list and non-null wrappers.
+ * 
+ * @param  {TypeRef} typeRef 	e.g. '[Paged<User>!]!'
+ * @return {TypeRef}         	e.g. 'Paged<User>'
+ */
+const _getNamedTypeRef = typeRef => typeRef.ofType ? _getNamedTypeRef(typeRef.ofType) : typeRef
 
-const _breakdownScalarBit = str => {
-	const block = (str.split(' ').slice(-1) || [])[0]
-	return { property: `scalar ${block}`, block: block, extend: false }
+/**
+ * Gets the generic type wrapped in a type.
+ * 
+ * @param  {String} type 	e.g. '[Paged<Edge<User>>!]!'
+ * @return {String}      	e.g. 'Paged<Edge<User>>', or null if 'type' is not a generic type (or is empty, e.g. enum values).
+ */
+const _getGenericTypeName = type => {
+	if (!type)
+		return null
+	const typeRef = _getNamedTypeRef(parseTypeReference(type))
+	return typeRef.args ? printTypeReference(typeRef) : null
 }
 
-const _breakdownUnionBit = str => {
-	const block = str.replace(/(^union\s|\sunion\s|\n)/g, '').trim()
-	return { property: `union ${block}`, block: block, extend: false }
+/**
+ * Replaces the named type wrapped in a type, keeping its list and non-null wrappers.
+ * 
+ * @param  {String}   type 		e.g. '[Paged<User>!]!'
+ * @param  {Function} mapName 	e.g. name => 'PagedUser'
+ * @return {String}          	e.g. '[PagedUser!]!'
+ */
+const _mapNamedType = (type, mapName) => {
+	const print = typeRef => 
+		typeRef.kind == 'NON_NULL' ? `${print(typeRef.ofType)}!` :
+		typeRef.kind == 'LIST' ? `[${print(typeRef.ofType)}]` : mapName(printTypeReference(typeRef))
+	return print(parseTypeReference(type))
 }
 
 /**
+ * Gets the type arguments of a generic type.
  * 
- * @param  {String} firstLine		First line of a code block (e.g., 'type Page {')
- * @return {String} output.type		Valid values: 'TYPE', 'ENUM', 'INPUT', 'INTERFACE', 'UNION', 'SCALAR'
- * @return {String} output.name		e.g., 'Page'
+ * @param  {String}   type 	e.g. 'Map<String,[Edge<User>!]>'
+ * @return {[String]}      	e.g. ['String', '[Edge<User>!]']. Empty if 'type' is not a generic type.
  */
-const _getSchemaEntity = firstLine =>
-	firstLine.indexOf('type') == 0 ? { type: 'TYPE', name: firstLine.match(/type\s+(.*?)\s+.*/)[1].trim() } :
-	firstLine.indexOf('enum') == 0 ? { type: 'ENUM', name: firstLine.match(/enum\s+(.*?)\s+.*/)[1].trim() } :
-	firstLine.indexOf('input') == 0 ? { type: 'INPUT', name: firstLine.match(/input\s+(.*?)\s+.*/)[1].trim() } :
-	firstLine.indexOf('interface') == 0 ? { type: 'INTERFACE', name: firstLine.match(/interface\s+(.*?)\s+.*/)[1].trim() } :
-	firstLine.indexOf('union') == 0 ? { type: 'UNION', name: firstLine.match(/union\s+(.*?)\s+.*/)[1].trim() } :
-	firstLine.indexOf('scalar') == 0 ? { type: 'SCALAR', name: firstLine.match(/scalar\s+(.*?)\s+.*/)[1].trim() } :
-	{ type: null, name: null }
+const _getTypeArguments = type => (_getNamedTypeRef(parseTypeReference(type)).args || []).map(printTypeReference)
 
 /**
- * Gets all the comments associated to the schema blocks. 
+ * Gets the name that represents a type argument in the name of a generic type (e.g. 'User' in 'PagedUser'). Generic 
+ * arguments are named after their own alias, and list and non-null arguments are spelled out so that two different
+ * arguments never produce the same name.
  * 
- * @param  {String} sch							Raw GraphQL schema. 
- * @return {String} output[].text				Comment
- * @return {String} output[].property.type		Valid values: 'TYPE', 'ENUM', 'INPUT', 'INTERFACE', 'UNION', 'SCALAR'
- * @return {String} output[].property.name		Property name (e.g., 'User' if the block started with 'type User {').
+ * @param  {Object}  ctx     	Context of the run (see '_createContext').
+ * @param  {TypeRef} typeRef 	e.g. '[Edge<User>!]' or '"id"|"name"'
+ * @param  {Array}   metadata 	Array of metadata objects
+ * @return {String}          	e.g. 'EdgeUserNonNullList' or 'IdName'
  */
-const _getCommentsBits = (sch) => 
-	(escapeGraphQlSchemaPlus(sch, carrReturnEsc, tabEsc).match(/░\s*[#"](.*?)░([^#"]*?)({|}|:)/g) || [])
-	.filter(x => x.match(/{$/))
-	.map(c => {
-		const parts = _(c.split(carrReturnEsc).map(l => l.replace(/_t_/g, '    ').trim())).filter(x => x != '')
-		const hashCount = parts.reduce((a,b) => {
-			a.count = a.count + (b.indexOf('#') == 0 || b.indexOf('"') == 0 || a.inComment ? 1 : 0)
-			if (b.indexOf('"""') === 0) {
-				a.inComment = !a.inComment
-			}
-			return a
-		}, { count: 0, inComment: false }).count
-		return { text: parts.initial(), property: _getSchemaEntity(parts.last()), comments: hashCount == parts.size() - 1 }
-	})
-	.filter(x => x.comments).map(x => ({ text: x.text.join('\n'), property: x.property }))
+const _getTypeArgumentName = (ctx, typeRef, metadata) =>
+	typeRef.kind == 'KEYS' ? typeRef.keys.map(_.upperFirst).join('') :
+	typeRef.kind == 'NON_NULL' ? `${_getTypeArgumentName(ctx, typeRef.ofType, metadata)}NonNull` :
+	typeRef.kind == 'LIST' ? `${_getTypeArgumentName(ctx, typeRef.ofType, metadata)}List` :
+	typeRef.args ? _getAliasName(ctx, printTypeReference(typeRef), metadata) : typeRef.name
 
 /**
- * Gets the alias for a generic type (e.g. Paged<Product> -> PagedProduct)
+ * Gets the alias for a generic type (e.g. Paged<Product> -> PagedProduct, Paged<Edge<Product>> -> PagedEdgeProduct)
+ * @param  {Object} ctx     Context of the run (see '_createContext').
  * @param  {String} genName e.g. Paged<Product>
  * @return {String}         e.g. PagedProduct
  */
-const _genericDefaultNameAlias = genName => {
+const _genericDefaultNameAlias = (ctx, genName) => {
 	if (!genName)
 		return ''
-	const m = genName.match(GENERICTYPEREGEX)
-	if (m) {
-		const parts = genName.split(m[0])
-		return `${parts[0]}${m[1].split(',').map(x => x.trim()).join('')}`
-	} else
+	const typeRef = _getNamedTypeRef(parseTypeReference(genName))
+	if (!typeRef.args)
 		return genName
+	const argNames = typeRef.args.map(arg => _getTypeArgumentName(ctx, arg))
+	const { prefix='', suffix='', separator='', format } = ctx.genericNaming
+	if (!format)
+		return `${prefix}${[typeRef.name, ...argNames].join(separator)}${suffix}`
+	const alias = format(typeRef.name, argNames, genName)
+	if (!GRAPHQL_NAME_REGEX.test(alias))
+		throw new Error(`Invalid generic type name. 'options.genericNaming' named '${genName}' '${alias}', which is not a valid GraphQL name.`)
+	return alias
 }
 
 /**
- * Example: [T] -> [User], or T -> User or Toy<T> -> Toy<User>
+ * Example: [T] -> [User], or T -> User or Toy<T> -> Toy<User> or Toy<Box<T>> -> Toy<Box<User>>
  * @param  {string} genericType   	e.g. 'Toy<T>', 'Toy<T,U>'
  * @param  {array}  genericLetters 	e.g. ['T'], ['T','U']
- * @param  {string} concreteType  	e.g. 'User', 'User,Product'
- * @return {string}               	e.g. 'Toy<User>', 'Toy<User,Product>'
- */
-const _replaceGenericWithType = (genericType, genericLetters, concreteType) =>
-	chain({ gType: genericType.replace(/\s/g, ''), gLetters: genericLetters.map(x => x.replace(/\s/g, '')), cTypes: concreteType.split(',').map(x => x.replace(/\s/g, '')) })
-	.next(({ gType, gLetters, cTypes }) => {
-		const cTypesLength = cTypes.length
-		const genericTypeIsArray = gType.indexOf('[') == 0 && gType.indexOf(']') > 0
-		const endingChar = gType.match(/!$/) ? '!' : ''
-		if (gLetters.length != cTypesLength)
-			throw new Error(`Invalid argument exception. Mismatch between the number of types in 'genericLetters' (${genericLetters.join(',')}) and 'concreteType' (${concreteType}).`)
-		// e.g. genericType = 'T', genericLetters = ['T'], concreteType = 'User' -> resp = 'User'
-		if (gLetters.length == 1 && gType.replace(/!$/, '') == gLetters[0])
-			return  `${cTypes[0]}${endingChar}`
-		// e.g. genericType = 'Paged<T>' or '[Paged<T>]'
-		else if (gType.indexOf('<') > 0 && gType.indexOf('>') > 0) {
-			const type = genericTypeIsArray ? gType.match(/\[(.*?)\]/)[1] : gType
-			const typeName = type.match(/.*</)[0].replace(/<$/,'').trim() // e.g. 'Toy'
-			const types = type.match(/<(.*?)>/)[1].split(',').map(x => x.trim())
-			if (types.length != gLetters.length)
-				throw new Error(`Invalid argument exception. Mismatch between the number of types in 'genericLetters' (${genericLetters.join(',')}) and 'genericType' (${genericType}).`)
-
-			const matchingConcreteTypes = types.map(t => {
-				for(let i=0;i<cTypesLength;i++) {
-					if (gLetters[i] == t)
-						return cTypes[i]
-				}
-				throw new Error(`Invalid argument exception. Mismatch types between the 'genericType' (${genericType}) and the allowed types 'genericLetters' (${genericLetters.join(',')}).`)
-			})
-			const result = `${typeName}<${matchingConcreteTypes.join(',')}>`
-
-			return genericTypeIsArray ? `[${result}]${endingChar}` : `${result}${endingChar}`
-		} else { // e.g. genericType = 'T' or '[T]'
-			const type = genericTypeIsArray ? gType.match(/\[(.*?)\]/)[1] : gType
-			const matchingConcreteTypes = type.split(',').map(t => {
-				const isRequired = /!$/.test(t)
-				t = (isRequired ? t.replace(/!$/, '') : t).trim()
-				for(let i=0;i<cTypesLength;i++) {
-					if (gLetters[i] == t)
-						return `${cTypes[i]}${isRequired ? '!' : ''}`
-				}
-				throw new Error(`Invalid argument exception. Mismatch types between the 'genericType' (${genericType}) and the allowed types 'genericLetters' (${genericLetters.join(',')}).`)
-			})
-			const result = matchingConcreteTypes.join(',')
-			return genericTypeIsArray ? `[${result}]${endingChar}` : `${result}${endingChar}`
-		}
-	})
-	.val()
+ * @param  {array}  concreteTypes  	e.g. ['User'], ['User','[Product!]']
+ * @return {string}               	e.g. 'Toy<User>', 'Toy<User,[Product!]>'
+ */
+const _replaceGenericWithType = (genericType, genericLetters, concreteTypes) => {
+	if (genericLetters.length != concreteTypes.length)
+		throw new Error(`Invalid argument exception. Mismatch between the number of types in 'genericLetters' (${genericLetters.join(',')}) and 'concreteTypes' (${concreteTypes.join(',')}).`)
+	const types = _.zipObject(genericLetters.map(x => x.trim()), concreteTypes.map(parseTypeReference))
+	return printTypeReference(_replaceTypeRefNames(parseTypeReference(genericType), types))
+}
+
+/**
+ * Names a generic type based on the '@alias' metadata decorating its definition. JavaScript aliases are only evaluated if
+ * the 'allowAliasEval' option is true.
+ * 
+ * @param  {Object} ctx      		Context of the run (see '_createContext').
+ * @param  {Object} aliasObj 		e.g. { name: 'alias', body: '("{T}s")', schemaName: 'Paged<T>', loc: { ... } }
+ * @param  {String} genericType 	e.g. 'Paged<User>'
+ * @return {String}             	e.g. 'Users'. Default alias (e.g. 'PagedUser') if '@alias' is invalid and errors are 
+ *                              	being collected.
+ */
+const _getMetadataAlias = (ctx, aliasObj, genericType) => {
+	const from = { path: [aliasObj.schemaName], loc: aliasObj.loc }
+	if (_getAliasTemplate(aliasObj.body) === null && !ctx.allowAliasEval)
+		return _reportError(ctx, 'UNSAFE_ALIAS', `'@alias${aliasObj.body}' on ${aliasObj.schemaName} is a JavaScript function, which is only evaluated if the 'allowAliasEval' option is true. Use a template instead (e.g., '@alias("{T}s")').`, from)
+			|| _genericDefaultNameAlias(ctx, genericType)
+
+	let alias
+	try {
+		const genericParameters = aliasObj.schemaType == 'PROPERTY' ? [] : _getTypeArguments(aliasObj.schemaName)
+		alias = _getGenericAlias(ctx, aliasObj.body, { allowEval: true, genericParameters })(genericType)
+	} catch(err) {
+		return _reportError(ctx, 'INVALID_ALIAS', `Invalid '@alias${aliasObj.body}' on ${aliasObj.schemaName}. ${err.message}`, from)
+			|| _genericDefaultNameAlias(ctx, genericType)
+	}
+	if (!GRAPHQL_NAME_REGEX.test(alias))
+		return _reportError(ctx, 'INVALID_ALIAS', `'@alias${aliasObj.body}' on ${aliasObj.schemaName} names '${genericType}' '${alias}', which is not a valid GraphQL name.`, from)
+			|| _genericDefaultNameAlias(ctx, genericType)
+	return alias
+}
 
-let memoizedGenericNameAliases = {}
-const _getAliasName = (genericType, metadata) => {
-	if (memoizedGenericNameAliases[genericType])
-		return memoizedGenericNameAliases[genericType]
+const _getAliasName = (ctx, genericType, metadata) => {
+	if (ctx.genericNameAliases[genericType])
+		return ctx.genericNameAliases[genericType]
 
-	const genericStart = genericType.match(/.*</)[0]
-	const aliasObj = Array.isArray(metadata) 
-		? _getAllAliases(metadata).find(x => x.schemaName.indexOf(genericStart) == 0)
-		: metadata && metadata.name == 'alias' ? metadata : null
-	const alias = aliasObj && aliasObj.body ? getGenericAlias(aliasObj.body)(genericType) : _genericDefaultNameAlias(genericType)
-	memoizedGenericNameAliases[genericType] = alias
+	const genericStart = `${_getNamedTypeRef(parseTypeReference(genericType)).name}<`
+	const aliasObj = Array.isArray(metadata) || !metadata
+		? _getAllAliases(ctx, metadata).find(x => x.schemaName.indexOf(genericStart) == 0)
+		: metadata.name == 'alias' ? metadata : null
+	const alias = aliasObj && aliasObj.body ? _getMetadataAlias(ctx, aliasObj, genericType) : _genericDefaultNameAlias(ctx, genericType)
+	ctx.genericNameAliases[genericType] = alias
 
 	return alias
 }
 
-let memoizedAliases = null
-const _getAllAliases = metadata => memoizedAliases || chain((metadata || []).filter(x => x.name == 'alias')).next(aliases => {
-	memoizedAliases = aliases
+const _getAllAliases = (ctx, metadata) => ctx.aliases || chain((metadata || []).filter(x => x.name == 'alias')).next(aliases => {
+	ctx.aliases = aliases
 	return aliases
 }).val()
 
-let memoizedGenericSchemaObjects = {}
+/**
+ * Determines whether a type is generic and how it is named once transpiled.
+ * 
+ * @param  {Object}  ctx        			Context of the run (see '_createContext').
+ * @param  {String}  originName 			e.g. '[Paged<Product>]!'
+ * @param  {Array}   metadata 				Array of metadata objects
+ * @param  {Array}   genericParentTypes 	Types of the generic parent type (e.g. ['T', 'U']), if any.
+ * @return {Boolean} result.isGen 			Indicates if 'originName' is a generic type
+ * @return {Boolean} result.dependsOnParent	Indicates if the generic type depends on its parent's types (e.g. 'Paged<T>')
+ * @return {String}  result.name 			e.g. '[PagedProduct]!' ('originName' if the generic type depends on its parent)
+ */
+const _getGenericNameDetails = (ctx, originName, metadata, genericParentTypes) => {
+	const genericName = _getGenericTypeName(originName)
+	const isGen = genericName ? true : false
+	const dependsOnParent = isGen && genericParentTypes && genericParentTypes.length > 0 && isTypeGeneric(genericName, genericParentTypes.join(','))
+	return {
+		isGen,
+		dependsOnParent,
+		name: isGen && !dependsOnParent ? _mapNamedType(originName, n => _getAliasName(ctx, n, metadata)) : originName
+	}
+}
+
 /**
  * Get all the type details
  *
+ * @param  {Object}  ctx            				Context of the run (see '_createContext').
  * @param  {String}  t            				Type (e.g. Paged<Product> or Paged<T,U>)
  * @param  {Array}   metadata     				Array of metadata objects
  * @param  {Array}   genericParentTypes 		Array of string representing the types (e.g. ['T', 'U']) of the generic parent type
  *                                  	     	of that type if that type was extracted from a block. If this array is null, that
  *                                  	      	means the parent type was not a generic type.
+ * @param  {String}  directive 					Directives that follow the type (e.g. '@isAuthenticated')
  * @return {String}  result.originName			't'
  * @return {Boolean} result.isGen				Indicates if 't' is a generic type
  * @return {Boolean} result.dependsOnParent		Not null if 't' is a generic. Indicates if the generic type of 't' depends
@@ -309,16 +247,12 @@ let memoizedGenericSchemaObjects = {}
  * @return {Array} 	 result.metadata			'metadata'
  * @return {Array} 	 result.genericParentTypes	If the parent is a generic type, then ths array contains contain all the
  *                                             	underlying types.
- * @return {String}  result.name				If 't' is not a generic type then 't' otherwise determine what's new name.
- */
-const _getTypeDetails = (t, metadata, genericParentTypes) => chain((t.match(GENERICTYPEREGEX) || [])[1])
-	.next(genTypes => {
-		const isGen = genTypes ? true : false
-		const genericTypes = isGen ? genTypes.split(',').map(x => x.trim()) : null
-		const originName = t.replace(/@.+/, '').trim()
-		const directive = (t.match(/@.+/) || [])[0]
-		const endingChar = originName.match(/!$/) ? '!' : ''
-		const dependsOnParent = isGen && genericParentTypes && genericParentTypes.length > 0 && genericTypes.some(x => genericParentTypes.some(y => x == y))
+ * @return {String}  result.name				If 't' is not a generic type then 't' otherwise determine what's new name
+ *                                  			(e.g. '[Paged<Product>]!' -> '[PagedProduct]!').
+ */
+const _getTypeDetails = (ctx, t, metadata, genericParentTypes, directive) => chain(t.trim())
+	.next(originName => {
+		const { isGen, dependsOnParent, name } = _getGenericNameDetails(ctx, originName, metadata, genericParentTypes)
 		return {
 			originName,
 			directive,
@@ -326,70 +260,63 @@ const _getTypeDetails = (t, metadata, genericParentTypes) => chain((t.match(GENE
 			dependsOnParent,
 			metadata,
 			genericParentTypes,
-			name: isGen && !dependsOnParent ? `${_getAliasName(originName, metadata)}${endingChar}` : originName
+			name
 		}
 	})
 	.next(result => {
-		if (result.isGen && !memoizedGenericSchemaObjects[result.name])
-			memoizedGenericSchemaObjects[result.name] = result
+		if (result.isGen && !ctx.genericSchemaObjects[result.name])
+			ctx.genericSchemaObjects[result.name] = result
 		return result
 	})
 	.val()
 
+const _getArgumentValue = (arg, typeName) => [
+	_getCommentText(arg.comments.filter(c => c.kind == 'DESCRIPTION'), ' '),
+	`${arg.name}: ${typeName}`,
+	arg.defaultValue ? `= ${arg.defaultValue}` : '',
+	arg.directives.map(d => d.raw).join(' ')
+].filter(x => x).join(' ')
+
 /**
  * Transpile parameters if generic types are used in them
  *
- * @param  {String}  params            			Parameters (e.g. (filter: Filtered<Product>)
- * @param  {Array}   metadata     				Array of metadata objects
+ * @param  {Object}   ctx             			Context of the run (see '_createContext').
+ * @param  {Array}   args            			Arguments returned by the parser (e.g. for '(filter: Filtered<Product>)')
  * @param  {Array}   genericParentTypes 		Array of string representing the types (e.g. ['T', 'U']) of the generic parent type
  *                                  	     	of that type if that type was extracted from a block. If this array is null, that
  *                                  	      	means the parent type was not a generic type.
- * @return {String}  transpiledParams			The transpiled parameters
- */
-const _getTranspiledParams = (params, genericParentTypes) => chain(params.split(','))
-	.next(genTypes => {
-		const transpiledParams = []
-		genTypes.forEach(genType => {
-			const genericTypeMatches = genType.match(GENERICTYPEREGEX)
-            const isGen = !!genericTypeMatches
-            const genericTypes = isGen ? genTypes.map(x => x.trim()) : null
-			if(!genType) return
-			const [ paramName, originName ] = genType.split(':').map(item => item.trim())
-            const endingChar = originName.match(/!$/) ? '!' : ''
-            const dependsOnParent = isGen && genericParentTypes && genericParentTypes.length > 0 && genericTypes.some(x => genericParentTypes.some(y => x === y))
-            const result = {
-                paramName,
-                originName,
-                isGen,
-                name: isGen && !dependsOnParent ? `${_getAliasName(originName)}${endingChar}` : originName
-            }
-            if (result.isGen && !memoizedGenericSchemaObjects[result.name])
-                memoizedGenericSchemaObjects[result.name] = result
-            transpiledParams.push(`${result.paramName}: ${result.name}`)
-		})
-		return transpiledParams
-	})
-	.next(result => {
-		return result.join(', ')
-	})
-	.val()
+ * @param  {Array}   metadata     				Array of metadata objects
+ * @param  {Array}   path 						Path of the field the arguments belong to (e.g. ['Query', 'products'])
+ * @return {String}  transpiledParams			The transpiled parameters (null if there are no parameters)
+ */
+const _getTranspiledParams = (ctx, args, genericParentTypes, metadata, path) => !args ? null : args.map(arg => {
+	const originName = printTypeReference(arg.type)
+	const { isGen, dependsOnParent, name } = _getGenericNameDetails(ctx, originName, metadata, genericParentTypes)
+	const result = {
+		paramName: arg.name,
+		originName,
+		isGen,
+		dependsOnParent,
+		name,
+		from: { path: [...(path || []), arg.name], loc: arg.loc }
+	}
+	if (result.isGen && !ctx.genericSchemaObjects[result.name])
+		ctx.genericSchemaObjects[result.name] = result
+	return _getArgumentValue(arg, result.name)
+}).join(', ')
 
-const _getPropertyValue = ({ name, params, result }, mapResultName) => {
+const _getPropertyValue = ({ name, params, result, defaultValue }, mapResultName) => {
 	const leftPart = `${name}${params ? `(${params})` : ''}`
-	let delimiter = ''
-	let rightPart = ''
-	if (result && result.name) {
-		delimiter = ': '
-		rightPart = mapResultName ? mapResultName(result.name) : result.name
-		if (result.directive)
-			rightPart = `${rightPart} ${result.directive}`
-	}
-	return `${leftPart}${delimiter}${rightPart}`
+	const rightPart = result && result.name ? `: ${mapResultName ? mapResultName(result.name) : result.name}` : ''
+	const defaultPart = defaultValue ? ` = ${defaultValue}` : ''
+	const directive = result && result.directive ? ` ${result.directive}` : ''
+	return `${leftPart}${rightPart}${defaultPart}${directive}`
 }
 
 /**
- * Breaks down a string representing a block { ... } into its various parts.
- * @param  {string} blockParts 				String representing your entire block (e.g. { users: User[], posts: Paged<Post> })
+ * Breaks down the fields of a block definition (e.g. { users: User[], posts: Paged<Post> }) into their various parts.
+ * @param  {Object} ctx 					Context of the run (see '_createContext').
+ * @param  {object} def 					Block definition returned by the parser.
  * @param  {object} baseObj
  * @param  {string} baseObj.type 			Type of the object with blockParts (e.g. TYPE, ENUM, ...)
  * @param  {string} baseObj.name 			Name of the object with blockParts
@@ -410,50 +337,89 @@ const _getPropertyValue = ({ name, params, result }, mapResultName) => {
  *         							metadata: [Object]
  *         						}
  *         					},
+ *         					allMetadata: [Object],			All the metadata of the property (e.g. '@edge' and '@auth'),
+ *         											including the inherited ones. 'metadata' is the first one.
  *         					params: string,
+ *         					args: [{
+ *         						name: string,
+ *         						type: string,
+ *         						defaultValue: string,
+ *         						directives: [Object],
+ *         						comments: [Object],
+ *         						loc: Object
+ *         					}],
  *         					result: {
  *         						originName: string,
  *         						isGen: boolean,
  *         						name: string
+ *         					},
+ *         					defaultValue: string,			Default value of an input field (e.g. '["a"]').
+ *         					directives: [{
+ *         						name: string,
+ *         						raw: string,
+ *         						loc: Object
+ *         					}],
+ *         					loc: {
+ *         						start: { line: number, column: number },
+ *         						end: { line: number, column: number }
  *         					}
  *         				},
- *         		value: string
+ *         		value: string,
+ *         		declaredIn: string,						Schema type that declares the property (e.g. 'Node').
+ *         		inheritedFrom: [string],				Super classes the property is inherited through, from the closest 
+ *         												to the declaring one (e.g. ['Person', 'Node']). Empty if not inherited.
+ *         		overrides: [string],					Schema types declaring the inherited properties this property 
+ *         												overrides (null if none).
+ *         		genericDefinition: string				Generic type the property comes from if it belongs to a generic 
+ *         												type's instance (e.g. 'Paged<T>').
  *         }]             									Property breakdown
  */
-const _getBlockProperties = (blockParts, baseObj, metadata) =>
-	chain(_(metadata).filter(m => m.schemaType == 'PROPERTY' && m.parent && m.parent.type == baseObj.type && m.parent.name == baseObj.name))
-	.next(meta => _(blockParts).reduce((a, part) => {
-		const p = part.trim()
-		const mData = meta.filter(m => m.schemaName == p).first() || null
-		if (p.indexOf('#') == 0 || p.indexOf('"') == 0 || a.insideComment) {
-			if (p.indexOf('"""') === 0) {
-				a.insideComment = !a.insideComment
-			}
-			a.comments.push(p)
-		} else {
-			const prop = p.replace(/ +(?= )/g,'').replace(/,$/, '')
-			const paramsMatch  = prop.replace(/@.+/, '').match(PROPERTYPARAMSREGEX)
-			const propDetails = paramsMatch
-				? chain(prop.split(paramsMatch[0]))
-					.next(parts => ({ name: parts[0].trim(), metadata: mData, params: _getTranspiledParams(paramsMatch[1], baseObj.genericTypes), result: _getTypeDetails((parts[1] || '').replace(':', '').trim(), metadata, baseObj.genericTypes) })).val()
-				: chain(prop.split(':'))
-					.next(parts => ({ name: parts[0].trim(), metadata: mData, params: null, result: _getTypeDetails(parts.slice(1).join(':').trim(), metadata, baseObj.genericTypes) })).val()
-			a.props.push({
-				comments: a.comments.join('\n    '),
-				details: propDetails,
-				value: _getPropertyValue(propDetails)
-			})
-			a.comments = []
-		}
-		return a
-	}, { insideComment: false, comments:[], props:[] }).props)
-	.val()
+const _getBlockProperties = (ctx, def, baseObj, metadata) => def.fields.map(field => {
+	const directive = field.directives.map(d => d.raw).join(' ') || undefined
+	const details = { 
+		name: field.name, 
+		metadata: getPropertyMetadata(def, field)[0] || null, 
+		allMetadata: getPropertyMetadata(def, field),
+		params: _getTranspiledParams(ctx, field.args, baseObj.genericTypes, metadata, [baseObj.name, field.name]), 
+		args: field.args ? field.args.map(arg => ({ 
+			name: arg.name, 
+			type: printTypeReference(arg.type), 
+			defaultValue: arg.defaultValue, 
+			directives: arg.directives, 
+			comments: arg.comments,
+			loc: arg.loc 
+		})) : null,
+		result: _getTypeDetails(ctx, printTypeReference(field.type), metadata, baseObj.genericTypes, directive),
+		defaultValue: field.defaultValue,
+		directives: field.directives,
+		loc: field.loc
+	}
+	return {
+		comments: _getCommentText(field.comments, '\n    '),
+		commentPositions: _getCommentPositions(field.comments),
+		details,
+		value: _getPropertyValue(details),
+		declaredIn: baseObj.name,
+		inheritedFrom: [],
+		overrides: null
+	}
+})
+
+/**
+ * Determines whether a definition only declares a generic type (e.g. 'type Pick<T, K>' without body), so that it can 
+ * be decorated (e.g. to define an '@alias' for a built-in generic type). Such definitions are not schema types.
+ * 
+ * @param  {Object}  def 	Definition returned by the parser.
+ * @return {Boolean}
+ */
+const _isGenericDeclaration = def => def.kind != 'SCALAR' && def.kind != 'UNION' && !def.fields
 
 /**
- * [description]
- * @param  {Array} 	definitions Array of objects ({ property:..., block: [...], extend: ... }) coming from the '_getSchemaBits' function
- * @param  {String} typeName    e.g. 'type' or 'input'
- * @param  {RegExp} nameRegEx   Regex that can extract the specific details of the schema bit (i.e. definitions)
+ * Converts the definitions returned by the parser into schema type objects.
+ * 
+ * @param  {Object} 	ctx         Context of the run (see '_createContext').
+ * @param  {Array} 	definitions Definitions returned by the parser.
+ * @param  {String} kind    	e.g. 'TYPE' or 'INPUT'
  * @param  {Array} 	metadata    metadata coming from the 'extractGraphMetadata' method.
  * @return {Array}             	Array of objects: Example:
  *                              [{
@@ -464,7 +430,8 @@ const _getBlockProperties = (blockParts, baseObj, metadata) =>
  *                              	genericType: null,
  *                              	blockProps: [ { comments: '', details: [Object], value: 'id: String!' } ],
  *                              	inherits: null,
- *                              	implements: null },
+ *                              	implements: null,
+ *                              	loc: { start: { line: 2, column: 1 }, end: { line: 4, column: 2 } } },
  *                              {
  *                              	type: 'TYPE',
  *                              	extend: true,
@@ -476,102 +443,214 @@ const _getBlockProperties = (blockParts, baseObj, metadata) =>
  *                              	implements: null
  *                              }]
  */
-const _getSchemaObject = (definitions, typeName, nameRegEx, metadata) =>
-	_.toArray(_(definitions).filter(d => d.property.indexOf(typeName) == 0)
-	.map(d => {
-		if (typeName == 'scalar')
-			return {
-				type: 'SCALAR',
-				extend: false,
-				name: d.block,
-				metadata: null,
-				genericType: false,
-				blockProps: [],
-				inherits: null,
-				implements: null
-			}
-		else if (typeName == 'union')
-			return {
-				type: 'UNION',
-				extend: false,
-				name: d.block,
-				metadata: null,
-				genericType: false,
-				blockProps: [],
-				inherits: null,
-				implements: null
-			}
-		else {
-			const typeDefMatch = d.property.match(/(.*?){/)
-			if (!typeDefMatch || typeDefMatch[0].indexOf('#') >= 0) throw new Error(`Schema error: Syntax error in '${d.property}'. Cannot any find schema type definition.`)
-			const typeDef = typeDefMatch[0]
-			const nameMatch = typeDef.match(nameRegEx)
-			if (!nameMatch) throw new Error(`Schema error: ${typeName} with missing name.`)
-			const name = nameMatch[1].trim().split(' ')[0]
-			const genericTypeMatch = name.match(GENERICTYPEREGEX)
-			const isGenericType = genericTypeMatch ? genericTypeMatch[1] : null
-			const inheritsMatch = typeDef.match(INHERITSREGEX)
-			const superClass = inheritsMatch && inheritsMatch[0].replace('inherits', '').trim().split(',').map(v => v.trim()) || null
-			const implementsMatch = typeDef.match(IMPLEMENTSREGEX)
-			const directive = (typeDef.match(/@[a-zA-Z0-9_]+(.*?)$/) || [''])[0].trim().replace(/{$/, '').trim() || null
-
-			const _interface = implementsMatch
-				? implementsMatch[0].replace('implements ', '').replace('{', '').split(',').map(x => x.trim().split(' ')[0])
-				: null
-
-			const objectType = typeName.toUpperCase()
-			const metadat = metadata
-				? _(metadata).filter(m => m.schemaType == objectType && m.schemaName == name).first() || null
-				: null
-
-			const genericTypes = isGenericType ? isGenericType.split(',').map(x => x.trim()) : null
-			const baseObj = { type: objectType, name: name, genericTypes: genericTypes }
-
-			const result = {
-				type: objectType,
-				extend: d.extend,
-				name: name,
-				metadata: metadat,
-				directive: directive,
-				genericType: isGenericType,
-				blockProps: _getBlockProperties(d.block, baseObj, metadata),
-				inherits: superClass,
-				implements: _interface
-			}
-			return result
+const _getSchemaObject = (ctx, definitions, kind, metadata) => definitions.filter(def => def.kind == kind && !_isGenericDeclaration(def)).map(def => {
+	const name = getDefinitionName(def)
+	const directive = def.directives.map(d => d.raw).join(' ') || null
+	if (kind == 'SCALAR' || kind == 'UNION')
+		return {
+			type: kind,
+			extend: def.extend,
+			name,
+			metadata: getTypeMetadata(def)[0] || null,
+			directive,
+			genericType: def.genericTypes ? def.genericTypes.join(',') : false,
+			genericParameters: def.genericParameters,
+			blockProps: [],
+			members: def.members ? def.members.map(printTypeReference) : null,
+			inherits: def.inherits ? def.inherits.map(printTypeReference) : null,
+			implements: null,
+			directives: def.directives,
+			loc: def.loc
 		}
-	}))
 
-const getGenericAlias = s => !s ? _genericDefaultNameAlias :
-genName => chain(genName.match(GENERICTYPEREGEX)).next(m => m
-	? chain(m[1].split(',').map(x => `"${x.trim()}"`).join(',')).next(genericTypeName => eval(s + '(' + genericTypeName + ')')).val()
-	: genName).val()
+	const baseObj = { type: kind, name, genericTypes: def.genericTypes }
+	return {
+		type: kind,
+		extend: def.extend,
+		name,
+		metadata: getTypeMetadata(def)[0] || null,
+		allMetadata: getTypeMetadata(def),
+		directive,
+		genericType: def.genericTypes ? def.genericTypes.join(',') : null,
+		genericParameters: def.genericParameters,
+		blockProps: _getBlockProperties(ctx, def, baseObj, metadata),
+		inherits: def.inherits ? def.inherits.map(printTypeReference) : null,
+		inheritedFields: def.inheritedFields,
+		derivedFrom: def.from ? printTypeReference(def.from) : null,
+		derivedFields: def.fromFields,
+		implements: def.implements ? def.implements.map(printTypeReference) : def.implements,
+		directives: def.directives,
+		loc: def.loc
+	}
+})
+
+/**
+ * Replaces the generic parameters used in a type reference with their concrete types.
+ * 
+ * @param  {TypeRef} typeRef 	e.g. the type reference of 'Paged<T>'
+ * @param  {Object}  types   	e.g. { T: { kind: 'NAMED', name: 'User', args: null } }
+ * @return {TypeRef}         	e.g. the type reference of 'Paged<User>'
+ */
+const _replaceTypeRefNames = (typeRef, types) => {
+	if (typeRef.kind == 'KEYS')
+		return typeRef
+	if (typeRef.kind != 'NAMED') {
+		const ofType = _replaceTypeRefNames(typeRef.ofType, types)
+		// e.g. 'T!' where T is 'User!' must be 'User!', not 'User!!'
+		return typeRef.kind == 'NON_NULL' && ofType.kind == 'NON_NULL' ? ofType : Object.assign({}, typeRef, { ofType })
+	}
+	if (!typeRef.args && types[typeRef.name])
+		return types[typeRef.name]
+	return Object.assign({}, typeRef, { args: typeRef.args ? typeRef.args.map(arg => _replaceTypeRefNames(arg, types)) : null })
+}
 
-const _getInterfaces = (definitions, metadata) => _getSchemaObject(definitions, 'interface', INTERFACENAMEREGEX, metadata)
+/**
+ * Fills in the default type arguments of the generic types used in a type reference (e.g. 'Result<User>' becomes 
+ * 'Result<User,Error>' if the generic type is defined as 'type Result<T, E = Error>'). Defaults are only filled in 
+ * if all the missing arguments have a default type.
+ * 
+ * @param  {TypeRef} typeRef           	Type reference returned by the parser.
+ * @param  {Object}  genericParameters 	Generic parameters of each generic type (e.g. { Result: [{ name: 'T', ... }, { name: 'E', ... }] }).
+ * @return {TypeRef}                   	Type reference with the default type arguments.
+ */
+const _getTypeRefWithDefaults = (typeRef, genericParameters) => {
+	if (typeRef.kind == 'KEYS')
+		return typeRef
+	if (typeRef.kind != 'NAMED')
+		return Object.assign({}, typeRef, { ofType: _getTypeRefWithDefaults(typeRef.ofType, genericParameters) })
+	if (!typeRef.args)
+		return typeRef
+	const args = typeRef.args.map(arg => _getTypeRefWithDefaults(arg, genericParameters))
+	const parameters = genericParameters[typeRef.name]
+	if (!parameters || args.length >= parameters.length || parameters.slice(args.length).some(p => !p.defaultType))
+		return Object.assign({}, typeRef, { args })
+
+	const allArgs = parameters.slice(args.length).reduce((acc, parameter) => {
+		const types = _.zipObject(parameters.slice(0, acc.length).map(p => p.name), acc)
+		acc.push(_getTypeRefWithDefaults(_replaceTypeRefNames(parameter.defaultType, types), genericParameters))
+		return acc
+	}, args)
+	return Object.assign({}, typeRef, { args: allArgs })
+}
 
-const _getAbstracts = (definitions, metadata) => _getSchemaObject(definitions, 'abstract', ABSTRACTNAMEREGEX, metadata)
+/**
+ * Fills in the default type arguments of all the generic types used in the definitions (i.e. fields, arguments,
+ * inherited types, implemented interfaces and union members). WARNING: This mutates the definitions.
+ * 
+ * @param  {Array} definitions 	Definitions returned by the parser.
+ * @return {Array}             	Definitions.
+ */
+const _addDefaultTypeArguments = definitions => {
+	const genericParameters = definitions
+		.filter(def => def.genericParameters && def.genericParameters.some(p => p.defaultType))
+		.reduce((acc, def) => {
+			acc[def.name] = def.genericParameters
+			return acc
+		}, {})
+	if (_.isEmpty(genericParameters))
+		return definitions
+
+	const withDefaults = typeRef => _getTypeRefWithDefaults(typeRef, genericParameters)
+	definitions.forEach(def => {
+		(def.fields || []).forEach(field => {
+			if (field.type)
+				field.type = withDefaults(field.type)
+			;(field.args || []).forEach(arg => arg.type = withDefaults(arg.type))
+		})
+		if (def.inherits)
+			def.inherits = def.inherits.map(withDefaults)
+		if (def.implements)
+			def.implements = def.implements.map(withDefaults)
+		if (def.members)
+			def.members = def.members.map(withDefaults)
+	})
+	return definitions
+}
 
-const _getTypes = (definitions, metadata) => _getSchemaObject(definitions, 'type', TYPENAMEREGEX, metadata)
+const GRAPHQL_NAME_REGEX = /^[_A-Za-z][_0-9A-Za-z]*$/
+const ALIAS_TEMPLATE_REGEX = /^\(\s*(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)')\s*\)$/
 
-const _getInputs = (definitions, metadata) => _getSchemaObject(definitions, 'input', INPUTNAMEREGEX, metadata)
+/**
+ * Gets the template of an '@alias' metadata.
+ * 
+ * @param  {String} body 	e.g. '("{T}s")', '(\'{T}s\')' or '((T) => T + \'s\')'
+ * @return {String}      	e.g. '{T}s'. Null if 'body' is not a template (i.e. a single string).
+ */
+const _getAliasTemplate = body => chain(`${body || ''}`.trim().match(ALIAS_TEMPLATE_REGEX)).next(m => m ? (m[1] === undefined ? m[2] : m[1]).replace(/\\(.)/g, '$1') : null).val()
 
-const _getEnums = (definitions, metadata) => _getSchemaObject(definitions, 'enum', ENUMNAMEREGEX, metadata)
+/**
+ * Replaces the placeholders of an alias template with the names of the type arguments. A placeholder is either the name
+ * of a generic parameter (e.g. '{T}') or its 0-based position (e.g. '{0}').
+ * 
+ * @param  {String}   template 				e.g. '{T}{1}Page'
+ * @param  {[String]} argNames 				e.g. ['User', 'Product']
+ * @param  {[String]} genericParameters 	e.g. ['T', 'U']
+ * @return {String}                   		e.g. 'UserProductPage'
+ */
+const _applyAliasTemplate = (template, argNames, genericParameters) => template.replace(/\{([^{}]*)\}/g, (placeholder, key) => {
+	const idx = /^\d+$/.test(key) ? Number(key) : genericParameters.indexOf(key.trim())
+	if (idx < 0 || idx >= argNames.length)
+		throw new Error(`Unknown placeholder '${placeholder}'. Placeholders must be either a generic parameter${genericParameters.length ? ` (${genericParameters.join(', ')})` : ''} or its position (0 to ${argNames.length - 1}).`)
+	return argNames[idx]
+})
 
-const _getScalars = (definitions, metadata) => _getSchemaObject(definitions, 'scalar', null, metadata)
+/**
+ * Creates the function that names the concrete types of a generic type based on the body of an '@alias' metadata. The 
+ * body is either a template (e.g. '("{T}s")' or '("{0}{1}Page")') or, if 'options.allowEval' is true, a JavaScript 
+ * function (e.g. '((T) => T + \'s\')').
+ * 
+ * @param  {String}   s 							e.g. '("{T}s")'
+ * @param  {Boolean}  options.allowEval 			Default false. If true, JavaScript functions are evaluated.
+ * @param  {[String]} options.genericParameters 	Optional. Names that can be used in the template's placeholders 
+ *                                             		(e.g. ['T'] for 'Paged<T>'). Required to use those names, unless 
+ *                                             		'options.genericType' is set.
+ * @param  {String}   options.genericType 			Optional. Generic type the alias names (e.g. 'Paged<T>'). Its 
+ *                                             		parameters are used if 'options.genericParameters' is not set.
+ * @return {Function}   							(genName: String) => String (e.g. 'Paged<User>' -> 'Users')
+ */
+const getGenericAlias = (s, options) => {
+	const { genericParameters, genericType } = options || {}
+	const parameterNames = genericParameters || (genericType ? _getTypeArguments(genericType) : null)
+	if (!parameterNames && /\{\s*[^{}\s\d][^{}]*\}/.test(_getAliasTemplate(s) || ''))
+		throw new Error(`Missing required argument. Either 'options.genericParameters' (e.g. ['T']) or 'options.genericType' (e.g. 'Paged<T>') is required to use the generic parameters in the placeholders of '${s}'. Otherwise, use their positions instead (e.g. '("{0}s")').`)
+	return _getGenericAlias(_createContext(), s, Object.assign({}, options, { genericParameters: parameterNames || [] }))
+}
 
-const _getUnions = (definitions, metadata) => _getSchemaObject(definitions, 'union', null, metadata)
+/**
+ * Same as 'getGenericAlias', but the type arguments that are themselves generic are named based on the aliases and the
+ * options of the current run (e.g. 'Paged<Edge<User>>' -> 'PagedUserEdge' if 'Edge<T>' is aliased '("{T}Edge")').
+ * 
+ * @param  {Object}   ctx 		Context of the run (see '_createContext').
+ * @param  {String}   s 		e.g. '("{T}s")'
+ * @param  {Object}   options 	See 'getGenericAlias'.
+ * @return {Function}   		(genName: String) => String (e.g. 'Paged<User>' -> 'Users')
+ */
+const _getGenericAlias = (ctx, s, options) => {
+	if (!s)
+		return genName => _genericDefaultNameAlias(ctx, genName)
+	const { allowEval, genericParameters=[] } = options || {}
+	const template = _getAliasTemplate(s)
+	if (template === null && !allowEval)
+		throw new Error(`Unsafe alias. '${s}' is a JavaScript function, which is only evaluated if 'options.allowEval' is true. Use a template instead (e.g., '("{T}s")').`)
+	return genName => chain(_getNamedTypeRef(parseTypeReference(genName))).next(typeRef => typeRef.args
+		? chain(typeRef.args.map(arg => _getTypeArgumentName(ctx, arg))).next(argNames => template !== null
+			? _applyAliasTemplate(template, argNames, genericParameters)
+			: eval(s + '(' + argNames.map(n => `"${n}"`).join(',') + ')')).val()
+		: genName).val()
+}
 
 /**
- * [description]
+ * Gets the canonical form of a generic type, i.e. its name followed by the positions of its type arguments, so that all 
+ * the instances of a generic type share the same canonical form.
+ * 
  * @param  {String} genericTypeName e.g., 'Page<User,Product>'
  * @return {String}                 e.g., 'Page<0,1>'
  */
 const _getCanonicalGenericType = genericTypeName => {
-	const [,types] = (genericTypeName || '').match(/<(.*?)>/) || []
-	if (!types)
+	const typeRef = genericTypeName ? _getNamedTypeRef(parseTypeReference(genericTypeName)) : null
+	if (!typeRef || !typeRef.args)
 		return ''
-	const canon = types.split(',').map((_,idx) => idx).join(',')
-	return genericTypeName.replace(/<(.*?)>/, `<${canon}>`)
+	return `${typeRef.name}<${typeRef.args.map((arg,idx) => idx).join(',')}>`
 }
 
 /**
@@ -590,318 +669,1075 @@ const _isGenericTypeDefined = (schemaTypeName, rawSchemaTypes) => {
 	if (!canonicalSchemaTypeName)
 		return false
 
-	const canonicalGenericTypeNames = rawSchemaTypes.filter(({ genericType }) => genericType).map(({ name }) => _getCanonicalGenericType(name))
+	const canonicalGenericTypeNames = [
+		...rawSchemaTypes.filter(({ genericType }) => genericType).map(({ name }) => _getCanonicalGenericType(name)),
+		...Object.keys(BUILT_IN_GENERIC_TYPES).map(name => `${name}<${_.range(BUILT_IN_GENERIC_TYPES[name]).join(',')}>`)
+	]
 	return canonicalGenericTypeNames.some(name => name === canonicalSchemaTypeName)
 }
 
-const _getDefaultGenericName = concreteGenericTypeName => (concreteGenericTypeName || '').replace(/[<>,\s]/g,'')
+/**
+ * Reports a problem found in the schema. The error is thrown unless errors are being collected, in which case the
+ * caller is expected to recover (e.g., by ignoring the faulty type).
+ *
+ * @param  {Object}   ctx  		Context of the run (see '_createContext').
+ * @param  {String}   code 		e.g. 'UNKNOWN_TYPE'
+ * @param  {String}   message 	e.g. 'Type \'Author\' cannot be found in the schema.'
+ * @param  {Object}   from 		Schema type or field the problem relates to (e.g., { path: ['Post', 'author'], loc: { ... } }).
+ * @return {Null}
+ */
+const _reportError = (ctx, code, message, from) => {
+	const error = createSchemaError({ code, message, path: (from || {}).path, loc: (from || {}).loc })
+	if (!ctx.errors)
+		throw error
+	ctx.errors.push(error)
+	return null
+}
+
+/**
+ * Reports a problem that does not prevent the schema from being transpiled. Warnings are only returned when errors are
+ * being collected (e.g., by 'validateSchema').
+ *
+ * @param  {Object}   ctx  		Context of the run (see '_createContext').
+ * @param  {String}   code 		e.g. 'INVALID_OVERRIDE'
+ * @param  {String}   message 	e.g. 'Field \'id\' of type Student cannot override field \'id\' of Node (...).'
+ * @param  {Object}   from 		Schema type or field the problem relates to (e.g., { path: ['Student', 'id'], loc: { ... } }).
+ * @return {Null}
+ */
+const _reportWarning = (ctx, code, message, from) => {
+	if (ctx.errors)
+		ctx.errors.push(createSchemaError({ code, message, severity: SEVERITY.WARNING, path: (from || {}).path, loc: (from || {}).loc }))
+	return null
+}
+
+const _getTypeRef = schemaType => ({ path: [schemaType.name], loc: schemaType.loc })
+
+/**
+ * Gets a string that represents the structure of a schema type regardless of its comments and of the order of its 
+ * fields, interfaces and members. Two schema types with the same structure define the same GraphQL type.
+ * 
+ * @param  {SchemaType} schemaType 	Resolved schema type.
+ * @return {String}            		e.g. '["TYPE",["Node"],[],["data: [User]","id: ID!"]]'
+ */
+const _getTypeStructure = schemaType => JSON.stringify([
+	schemaType.type,
+	_.sortBy(schemaType.implements || []),
+	_.sortBy(schemaType.members || []),
+	_.sortBy((schemaType.blockProps || []).map(prop => prop.value))
+])
+
+/**
+ * Resolves a generic type whose name is already used by another generic type (e.g., 'Paged<User>' and 'Page<User>' both 
+ * aliased 'Users'). Both generic types are deduplicated if they define the same type. Otherwise, a 
+ * 'GENERIC_NAME_COLLISION' error is reported.
+ * 
+ * @param  {Object}       ctx                     	Context of the run (see '_createContext').
+ * @param  {String}       concreteGenericTypeName 	e.g. 'Page<User>'
+ * @param  {[SchemaType]} rawSchemaTypes 			Array of not fully compiled Schema type objects.
+ * @param  {Object}       comments 					
+ * @param  {String}       aliasName 				e.g. 'Users'
+ * @param  {Object}       from 						Schema type or field using 'concreteGenericTypeName'.
+ * @return {SchemaType}   							Generic type that was created first.
+ */
+const _resolveGenericNameCollision = (ctx, { concreteGenericTypeName, rawSchemaTypes, comments, aliasName, from }) => {
+	const memoizedType = ctx.concreteGenericTypes[aliasName]
+	const memoizedOrigin = ctx.concreteGenericOrigins[aliasName]
+	// Resolve the colliding generic type without losing the one that was created first.
+	ctx.concreteGenericTypes[aliasName] = null
+	const collidingType = _resolveGenericType(ctx, { concreteGenericTypeName, rawSchemaTypes, comments, aliasName, from })
+	ctx.concreteGenericTypes[aliasName] = memoizedType
+	ctx.concreteGenericOrigins[aliasName] = memoizedOrigin
+	if (collidingType && _getTypeStructure(collidingType) != _getTypeStructure(memoizedType))
+		return _reportError(ctx,
+			'GENERIC_NAME_COLLISION', 
+			`Generic types ${memoizedOrigin} and ${concreteGenericTypeName} are both named '${aliasName}' but define different types. Use '@alias' to name them differently.`, 
+			from) || memoizedType
+	return memoizedType
+}
+
+/**
+ * Removes the generic types named after a declared type (e.g., 'Paged<User>' and 'type PagedUser'). Both types are 
+ * deduplicated if they define the same type. Otherwise, a 'GENERIC_NAME_COLLISION' error is reported and the declared
+ * type is kept.
+ * 
+ * @param  {Object}       ctx           	Context of the run (see '_createContext').
+ * @param  {[SchemaType]} declaredTypes 	Resolved schema types declared in the schema.
+ * @param  {[SchemaType]} genericTypes  	Resolved concrete generic types.
+ * @param  {Object}       origins 			Default is the generic types created by the current run. Generic type each 
+ *                                			concrete generic type was created from (e.g., { PagedUser: 'Paged<User>' }).
+ * @return {[SchemaType]}               	Generic types that are not declared in the schema.
+ */
+const _removeDeclaredGenericTypes = (ctx, declaredTypes, genericTypes, origins=ctx.concreteGenericOrigins) => genericTypes.filter(genericType => {
+	const declaredType = declaredTypes.find(x => x && x.name == genericType.name && !x.extend && !x.genericType)
+	if (!declaredType)
+		return true
+	if (_getTypeStructure(declaredType) != _getTypeStructure(genericType))
+		_reportError(ctx,
+			'GENERIC_NAME_COLLISION', 
+			`Type ${declaredType.name} is declared in the schema but is also generated from generic type ${origins[genericType.name]}, and they define different types. Use '@alias' to name ${origins[genericType.name]} differently.`, 
+			_getTypeRef(declaredType))
+	return false
+})
 
-let _memoizedConcreteGenericTypes = {}
 /**
- * [description]
+ * Creates the concrete type of a generic type instance (e.g., 'type PagedUser { data: [User] }' for 'Paged<User>') by 
+ * replacing the generic parameters of its definition with the type arguments. The result is memoized in 
+ * 'ctx.concreteGenericTypes'.
+ * 
+ * @param  {Object}   	  ctx                    	Context of the run (see '_createContext').
  * @param  {String}   	  concreteGenericTypeName	Generic type name (e.g., 'Paged<User>')
  * @param  {[SchemaType]} rawSchemaTypes			Array of not fully compiled Schema type objects.
  * @param  {[Comments]}   comments					comments[].text, comments[].property.type, comments[].property.name 
  * @param  {String}   	  aliasName					Overides the default name. For example. If 'concreteGenericTypeName' is 'Paged<User>'
  *													its default name is 'PageUser'.
- * @return {SchemaType} 							Resolved Schema Type object.
+ * @param  {Object}   	  from						Schema type or field that uses the generic type (e.g., { path: ['User', 'posts'], loc: { ... } }).
+ * @return {SchemaType} 							Resolved Schema Type object, or null if the generic type could not be resolved.
  */
-const _resolveGenericType = ({ concreteGenericTypeName, rawSchemaTypes, comments, aliasName }) => {
+const _resolveGenericType = (ctx, { concreteGenericTypeName, rawSchemaTypes, comments, aliasName, from }) => {
 	// 1. Returns if the result was already memoized before.
-	const defaultConcreteName = aliasName || _getDefaultGenericName(concreteGenericTypeName)
-	if (_memoizedConcreteGenericTypes[defaultConcreteName])
-		return _memoizedConcreteGenericTypes[defaultConcreteName]
+	concreteGenericTypeName = _getGenericTypeName(concreteGenericTypeName) || concreteGenericTypeName // e.g., '[Paged<User>]!' -> 'Paged<User>'
+	const defaultConcreteName = aliasName || _genericDefaultNameAlias(ctx, concreteGenericTypeName)
+	const origin = _getCanonicalGenericType(concreteGenericTypeName) ? printTypeReference(parseTypeReference(concreteGenericTypeName)) : concreteGenericTypeName
+	if (ctx.concreteGenericTypes[defaultConcreteName])
+		return ctx.concreteGenericOrigins[defaultConcreteName] == origin
+			? ctx.concreteGenericTypes[defaultConcreteName]
+			: _resolveGenericNameCollision(ctx, { concreteGenericTypeName: origin, rawSchemaTypes, comments, aliasName: defaultConcreteName, from })
+	ctx.concreteGenericOrigins[defaultConcreteName] = origin
 
 	// 2. Find the Generic definition type in the 'rawSchemaTypes'
-	const genericTypePrefix = ((concreteGenericTypeName.match(/.+</) || [])[0] || '').replace(/\[/g,'') // e.g., Paged<
+	const genericTypePrefix = _getCanonicalGenericType(concreteGenericTypeName) ? `${_getNamedTypeRef(parseTypeReference(concreteGenericTypeName)).name}<` : '' // e.g., Paged<
 
 	if (!genericTypePrefix) 
-		throw new Error(`Schema error: Cannot find type in generic object ${concreteGenericTypeName}`)
+		return _reportError(ctx, 'INVALID_GENERIC_TYPE', `Cannot find type in generic object ${concreteGenericTypeName}`, from)
 
 	const genericDefType = rawSchemaTypes.find(({ name }) => name.indexOf(genericTypePrefix) == 0)
+	const builtInGenericType = genericTypePrefix.replace(/<$/, '')
 
-	if (!genericDefType) 
-		throw new Error(`Schema error: Cannot find any definition for generic type starting with ${genericTypePrefix}`)
+	if (!genericDefType && BUILT_IN_GENERIC_TYPES[builtInGenericType])
+		return _resolveBuiltInGenericType(ctx, { operator: builtInGenericType, concreteGenericTypeName, rawSchemaTypes, comments, name: defaultConcreteName, from })
+	else if (!genericDefType) 
+		return _reportError(ctx, 'UNKNOWN_GENERIC_TYPE', `Cannot find any definition for generic type starting with ${genericTypePrefix}`, from)
 	else if (!genericDefType.genericType)
-		throw new Error(`Schema error: Schema object ${genericDefType.name} is not generic!`)
+		return _reportError(ctx, 'NOT_GENERIC_TYPE', `Schema object ${genericDefType.name} is not generic!`, from)
 
 	// 3. Resolve the types and the inherited types 
-	// 3.1. Resolve the types (e.g., if concreteGenericTypeName is 'Paged<User,Product>', typeNames is ['User', 'Product'])
-	const typeNames = ((concreteGenericTypeName.match(/<(.*?)>/) || [])[1] || '').split(',').map(x => x.trim()).filter(x => x)
-	// 3.1.1. WARNING: This code creates side-effects by mutating '_memoizedConcreteGenericTypes'. 
-	// This is the intended goal as '_memoizedConcreteGenericTypes' is used to in '_getSchemaBits' to get the new generic ASTs.
+	// 3.1. Resolve the types (e.g., if concreteGenericTypeName is 'Paged<User,[Edge<Product>]>', typeNames is ['User', '[Edge<Product>]'])
+	const typeNames = _getTypeArguments(concreteGenericTypeName)
+	const genericLetters = genericDefType.genericType.split(',')
+	if (typeNames.length != genericLetters.length)
+		return _reportError(ctx,
+			'GENERIC_ARITY_MISMATCH', 
+			`Generic type ${genericDefType.name} expects ${genericLetters.length} type argument(s) but ${concreteGenericTypeName} has ${typeNames.length}.`, 
+			from)
+	if (_getNamedTypeRef(parseTypeReference(concreteGenericTypeName)).args.some(arg => arg.kind == 'KEYS'))
+		return _reportError(ctx,
+			'INVALID_GENERIC_TYPE', 
+			`Field names (e.g. "id") can only be used as type arguments of Pick and Omit, not of ${genericDefType.name}.`, 
+			from)
+	// 3.1.1. WARNING: This code creates side-effects by mutating 'ctx.concreteGenericTypes'. 
+	// This is the intended goal as 'ctx.concreteGenericTypes' is used in 'getSchemaParts' to get the new generic ASTs.
+	// Nested generic types (e.g., 'Edge<Product>' in 'Paged<[Edge<Product>]>') are resolved recursively.
 	typeNames.map(typeName => {
-		if (isScalarType(typeName))
+		const namedType = printTypeReference(_getNamedTypeRef(parseTypeReference(typeName))) // e.g., '[Edge<Product>]' -> 'Edge<Product>'
+		if (isScalarType(namedType))
 			return 
-		_getType(typeName, rawSchemaTypes, comments)
+		_getType(ctx, namedType, rawSchemaTypes, comments, from)
 	})
+	// 3.1.2. Check that each type satisfies the constraints of its generic parameter (e.g., 'T: Node').
+	typeNames.forEach((typeName, idx) => _checkGenericConstraints(ctx, typeName, (genericDefType.genericParameters || [])[idx], genericDefType, rawSchemaTypes, from))
 	
 	// 3.2. Resolve the inherited types 
-	const superClasses = (genericDefType.inherits || []).map(superClassName => _getType(superClassName, rawSchemaTypes, comments))
-	// 3.2.1. WARNING: This code creates side-effects by mutating '_memoizedConcreteGenericTypes'. 
-	// This is the intended goal as '_memoizedConcreteGenericTypes' is used to in '_getSchemaBits' to get the new generic ASTs.
-	superClasses.map((superClass) => {
-		if (!_inheritingIsAllowed(genericDefType, superClass)){
-			throw new Error('Schema error: ' + genericDefType.type.toLowerCase() + ' ' + genericDefType.name + ' cannot inherit from ' + superClass.type + ' ' + superClass.name + '.')  
-		}            
-		return _resolveSchemaType(superClass, rawSchemaTypes, comments)
+	const superClasses = (genericDefType.inherits || []).map(superClassName => _getType(ctx, superClassName, rawSchemaTypes, comments, _getTypeRef(genericDefType))).filter(x => x)
+	// 3.2.1. WARNING: This code creates side-effects by mutating 'ctx.concreteGenericTypes'. 
+	// This is the intended goal as 'ctx.concreteGenericTypes' is used in 'getSchemaParts' to get the new generic ASTs.
+	const resolvedSuperClasses = superClasses.map(superClass => {
+		if (!_inheritingIsAllowed(genericDefType, superClass))
+			return _reportError(ctx,
+				'INVALID_INHERITANCE', 
+				genericDefType.type.toLowerCase() + ' ' + genericDefType.name + ' cannot inherit from ' + superClass.type + ' ' + superClass.name + '.', 
+				_getTypeRef(genericDefType))
+		return _resolveSchemaType(ctx, superClass, rawSchemaTypes, comments)
 	})
+	const inheritedProps = resolvedSuperClasses.map((resolvedSuperClass, idx) => resolvedSuperClass 
+		? Object.assign(
+			{ superClass: superClasses[idx].name }, 
+			_getInheritedBlockProps(ctx, resolvedSuperClass, (genericDefType.inheritedFields || [])[idx], genericDefType))
+		: null).filter(x => x)
+	// 3.2.2. Merge the inherited properties with the properties of the generic type definition.
+	const { blockProps: genericDefBlockProps } = _mergeInheritedBlockProps(ctx, genericDefType, inheritedProps)
+	// 3.2.3. Merge the metadata of the super classes with the generic type definition's metadata (see '_resolveSchemaType').
+	const validSuperClasses = resolvedSuperClasses.filter(x => x)
+	const allMetadata = _mergeMetadata(ctx, _.flatten(validSuperClasses.map(_getAllMetadata)), _getAllMetadata(genericDefType), true)
+	const mainMetadata = genericDefType.metadata || (_.last(validSuperClasses) || {}).metadata
+	const metadata = mainMetadata ? allMetadata.find(m => m.name == mainMetadata.name) || null : null
 
 	// 4. Resolving each property of the generic type definition based on the concrete type.
-	const blockProps = genericDefType.blockProps.map(prop => {
-		let p = prop
-		const concreteType = typeNames.join(',')
-		if (isTypeGeneric(prop.details.result.name, genericDefType.genericType)) {
-			let details = {
-				name: prop.details.name,
-				params: prop.params,
-				result: {
-					originName: prop.details.originName,
-					isGen: prop.details.isGen,
-					name: _replaceGenericWithType(prop.details.result.name, genericDefType.genericType.split(','), concreteType)
-				}
-			}
+	// 4.1. Replace the generic types of a property or argument type with the concrete types (e.g., '[Edge<T>]!' -> '[Edge<Product>]!'). 
+	// If the concrete type is itself a generic type (e.g., type Paged<T> { data:[Edge<T>] }, or type Paged<T> { data:[T] } where T is 
+	// Edge<Product>), it is resolved and replaced with its name (e.g., '[EdgeProduct]!'). WARNING: This code creates side-effects by 
+	// mutating 'ctx.concreteGenericTypes'. This is the intended goal as 'ctx.concreteGenericTypes' is used in 'getSchemaParts' 
+	// to get the new generic ASTs.
+	const getConcretePropType = (type, metadata, from) => {
+		const concreteType = _replaceGenericWithType(type, genericLetters, typeNames)
+		const concreteGenericTypeName = _getGenericTypeName(concreteType) // e.g., Edge<Product>
+		if (!concreteGenericTypeName)
+			return concreteType
+		const concreteTypeName = _getTypeDetails(ctx, concreteType, metadata).name
+		_resolveGenericType(ctx, { concreteGenericTypeName, rawSchemaTypes, comments, aliasName: _getAliasName(ctx, concreteGenericTypeName, metadata), from })
+		return concreteTypeName
+	}
 
-			// 4.1. This is a case where this property is from a generic type similar to type Paged<T> { data:User<T> }. The property
-			// 'data' depends on parent.
-			if (prop.details.result.dependsOnParent) {
-				const propTypeIsRequired = prop.details.result.name.match(/!$/)
-				const propTypeName = propTypeIsRequired ? prop.details.result.name.replace(/!$/,'') : prop.details.result.name // e.g. [Paged<T>]
-				const propTypeIsArray = propTypeName.match(/^\[.*\]$/)
-				const originalConcretePropType = _replaceGenericWithType(propTypeName, prop.details.result.genericParentTypes, concreteType) // e.g. [Paged<Product>]
-				const concretePropType = propTypeIsArray ? originalConcretePropType.replace(/^\[|\]$/g,'') : originalConcretePropType // e.g. Paged<Product>
-				const concreteGenProp = _getTypeDetails(concretePropType, prop.details.result.metadata)
-				const concreteGenPropName = concreteGenProp.name || _getDefaultGenericName(concretePropType) // e.g. PagedProduct
-				let originalConcretePropTypeName = propTypeIsArray ? `[${concreteGenPropName}]` : concreteGenPropName // e.g. [PagedProduct]
-				originalConcretePropTypeName = originalConcretePropTypeName + (propTypeIsRequired ? '!' : '') // e.g. [PagedProduct]!
-				originalConcretePropTypeName = prop.details.result.directive ? `${originalConcretePropTypeName} ${prop.details.result.directive}` : originalConcretePropTypeName // e.g. [PagedProduct]! @isAuthenticated
-				details.result = {
-					originName: prop.details.result.directive ? `${prop.details.result.name} ${prop.details.result.directive}` : prop.details.result.name,
-					isGen: true,
-					name: originalConcretePropTypeName
+	const blockProps = genericDefBlockProps.map(prop => {
+		const { directive, metadata } = prop.details.result
+		const genericArgs = (prop.details.args || []).filter(arg => isTypeGeneric(arg.type, genericDefType.genericType))
+		const genericResult = isTypeGeneric(prop.details.result.name, genericDefType.genericType)
+		if (!genericResult && !genericArgs.length)
+			return Object.assign({}, prop, { genericDefinition: genericDefType.name })
+
+		const from = { path: [genericDefType.name, prop.details.name], loc: prop.details.loc }
+		const details = {
+			name: prop.details.name,
+			metadata: prop.details.metadata,
+			allMetadata: prop.details.allMetadata,
+			params: genericArgs.length 
+				? prop.details.args.map(arg => _getArgumentValue(arg, genericArgs.indexOf(arg) >= 0 
+					? getConcretePropType(arg.type, metadata, { path: [...from.path, arg.name], loc: arg.loc })
+					: arg.type)).join(', ')
+				: prop.details.params,
+			args: prop.details.args,
+			result: genericResult
+				? {
+					originName: directive ? `${prop.details.result.name} ${directive}` : prop.details.result.name,
+					isGen: _getGenericTypeName(_replaceGenericWithType(prop.details.result.name, genericLetters, typeNames)) ? true : false,
+					name: getConcretePropType(prop.details.result.name, metadata, from),
+					directive
 				}
-
-				// 4.1.1. Make sure this new generic type is memoized. WARNING: This code creates side-effects by mutating '_memoizedConcreteGenericTypes'. 
-				// This is the intended goal as '_memoizedConcreteGenericTypes' is used to in '_getSchemaBits' to get the new generic ASTs.
-				_resolveGenericType({ concreteGenericTypeName:concretePropType, rawSchemaTypes, comments, aliasName:concreteGenPropName })
-			}
-
-			p = {
-				comments: prop.comments,
-				details: details,
-				value: _getPropertyValue(details)
-			}
+				: prop.details.result,
+			loc: prop.details.loc
 		}
 
-		return p
+		return Object.assign({}, prop, {
+			details: details,
+			value: _getPropertyValue(details),
+			genericDefinition: genericDefType.name
+		})
 	})
 
+	// 5. Resolving the implemented interfaces and the union members based on the concrete type (e.g., 'Collection<T>' -> 'CollectionProduct').
+	const getConcreteTypeName = typeName => _resolveTypeName(ctx, _replaceGenericWithType(typeName, genericLetters, typeNames), rawSchemaTypes, comments, from)
+
 	const result = {
 		comments: _getPropertyComments(genericDefType, comments),
+		commentPositions: _getPropertyCommentsBit(genericDefType, comments).positions,
 		type: genericDefType.type,
 		name:defaultConcreteName,
-		implements: genericDefType.implements,
+		metadata,
+		allMetadata,
+		implements: genericDefType.implements ? genericDefType.implements.map(getConcreteTypeName).filter(x => x) : genericDefType.implements,
 		blockProps: blockProps,
-		genericType: null
+		members: genericDefType.members ? genericDefType.members.map(getConcreteTypeName).filter(x => x) : null,
+		genericType: null,
+		loc: genericDefType.loc
 	}
 	
-	_memoizedConcreteGenericTypes[defaultConcreteName] = result
+	ctx.concreteGenericTypes[defaultConcreteName] = result
+
+	return result
+}
+
+// Built-in generic types (i.e. type operators) and the number of type arguments they expect.
+const BUILT_IN_GENERIC_TYPES = { Pick: 2, Omit: 2, Partial: 1, Required: 1 }
+const BUILT_IN_GENERIC_SOURCE_TYPES = ['TYPE', 'INPUT', 'INTERFACE']
+
+/**
+ * Resolves a built-in generic type, i.e. a projection of a type, an input or an interface:
+ * 		- Pick<User, "id" | "name">: Only keeps the 'id' and 'name' fields.
+ * 		- Omit<User, "password">: Removes the 'password' field.
+ * 		- Partial<UserInput>: All the fields are nullable.
+ * 		- Required<User>: All the fields are non-null.
+ * The projection does not implement the interfaces of its source as it may not satisfy them anymore.
+ * 
+ * @param  {Object}   	  ctx     					Context of the run (see '_createContext').
+ * @param  {String}   	  operator					'Pick', 'Omit', 'Partial' or 'Required'.
+ * @param  {String}   	  concreteGenericTypeName	e.g., 'Pick<User,"id"|"name">'
+ * @param  {[SchemaType]} rawSchemaTypes			Array of not fully compiled Schema type objects.
+ * @param  {[Comments]}   comments					comments[].text, comments[].property.type, comments[].property.name 
+ * @param  {String}   	  name						Name of the resolved type (e.g., 'PickUserIdName').
+ * @param  {Object}   	  from						Schema type or field that uses the generic type.
+ * @return {SchemaType} 							Resolved Schema Type object, or null if the generic type could not be resolved.
+ */
+const _resolveBuiltInGenericType = (ctx, { operator, concreteGenericTypeName, rawSchemaTypes, comments, name, from }) => {
+	// 1. Check the type arguments
+	const typeArgs = _getNamedTypeRef(parseTypeReference(concreteGenericTypeName)).args
+	const arity = BUILT_IN_GENERIC_TYPES[operator]
+	if (typeArgs.length != arity)
+		return _reportError(ctx,
+			'GENERIC_ARITY_MISMATCH', 
+			`Generic type ${operator} expects ${arity} type argument(s) but ${concreteGenericTypeName} has ${typeArgs.length}.`, 
+			from)
+
+	const [typeRef, keysRef] = typeArgs
+	const sourceTypeName = printTypeReference(typeRef)
+	const isSourceTypeValid = typeRef.kind == 'NAMED' && !isScalarType(sourceTypeName)
+	const sourceType = isSourceTypeValid ? _getType(ctx, sourceTypeName, rawSchemaTypes, comments, from) : null
+	if (isSourceTypeValid && !sourceType)
+		return null
+	if (!sourceType || BUILT_IN_GENERIC_SOURCE_TYPES.indexOf(sourceType.type) < 0)
+		return _reportError(ctx,
+			'GENERIC_CONSTRAINT_VIOLATION',
+			`Type '${sourceTypeName}' does not satisfy the constraint 'T: type | input | interface' of generic type ${operator}.`,
+			from)
+
+	const keys = arity == 2 ? keysRef.keys : null
+	if (arity == 2 && keysRef.kind != 'KEYS')
+		return _reportError(ctx,
+			'INVALID_GENERIC_TYPE', 
+			`The second type argument of ${operator} must be a union of field names (e.g., ${operator}<${sourceTypeName}, "id" | "name">).`, 
+			from)
+
+	// 2. Resolve the source type so that its inherited properties are included too.
+	const resolvedType = rawSchemaTypes.indexOf(sourceType) >= 0 ? _resolveSchemaType(ctx, sourceType, rawSchemaTypes, comments) : sourceType
+	if (keys)
+		keys.filter(key => !resolvedType.blockProps.some(prop => prop.details.name == key)).forEach(key => _reportError(ctx,
+			'UNKNOWN_FIELD', 
+			`Field '${key}' cannot be found in ${resolvedType.type.toLowerCase()} ${resolvedType.name}.`, 
+			from))
+
+	// 3. Project the properties.
+	const blockProps = resolvedType.blockProps
+		.filter(prop => operator == 'Pick' ? keys.indexOf(prop.details.name) >= 0 : operator == 'Omit' ? keys.indexOf(prop.details.name) < 0 : true)
+		.map(prop => {
+			const genericDefinition = `${operator}<${arity == 2 ? 'T,K' : 'T'}>`
+			if (operator != 'Partial' && operator != 'Required')
+				return Object.assign({}, prop, { genericDefinition })
+			const typeName = prop.details.result.name.replace(/!$/, '')
+			const result = Object.assign({}, prop.details.result, { name: operator == 'Required' ? `${typeName}!` : typeName })
+			const details = Object.assign({}, prop.details, { result })
+			return Object.assign({}, prop, { details, value: _getPropertyValue(details), genericDefinition })
+		})
+
+	const result = {
+		comments: '',
+		commentPositions: [],
+		type: resolvedType.type,
+		name,
+		implements: null,
+		blockProps,
+		genericType: null,
+		loc: resolvedType.loc
+	}
+
+	ctx.concreteGenericTypes[name] = result
 
 	return result
 }
 
+const GENERIC_CONSTRAINT_CATEGORIES = { scalar: 'SCALAR', enum: 'ENUM', input: 'INPUT', type: 'TYPE', interface: 'INTERFACE', union: 'UNION' }
+
+/**
+ * Gets the names of all the types a schema type inherits from or implements, directly or not.
+ * 
+ * @param  {SchemaType}   schemaType 		Not fully compiled Schema type object.
+ * @param  {[SchemaType]} rawSchemaTypes 	Array of not fully compiled Schema type objects.
+ * @param  {[String]}     visited 			Names already visited (protects against inheritance cycles).
+ * @return {[String]}                		e.g. ['Node', 'Timestamped']
+ */
+const _getAncestorNames = (schemaType, rawSchemaTypes, visited=[]) => _.uniq(_.flatten(
+	[...(schemaType.inherits || []), ...(schemaType.implements || [])].map(name => {
+		const ancestor = visited.indexOf(name) < 0 ? rawSchemaTypes.find(x => x.name == name) : null
+		return ancestor ? [name, ..._getAncestorNames(ancestor, rawSchemaTypes, [...visited, name])] : [name]
+	})))
+
+/**
+ * Checks that the concrete type of a generic parameter satisfies the parameter's constraints. A constraint is either a 
+ * category (i.e. 'scalar', 'enum', 'input', 'type', 'interface' or 'union') or a type that the concrete type must be, 
+ * inherit from or implement.
+ * 
+ * @param  {Object}       ctx      			Context of the run (see '_createContext').
+ * @param  {String}       typeName 			Concrete type (e.g., 'User').
+ * @param  {Object}       parameter 		Generic parameter (e.g., { name: 'T', constraints: ['Node'], loc: { ... } }).
+ * @param  {SchemaType}   genericDefType 	Generic type definition (e.g., 'Paged<T>').
+ * @param  {[SchemaType]} rawSchemaTypes 	Array of not fully compiled Schema type objects.
+ * @param  {Object}       from 				Schema type or field that uses the generic type.
+ */
+const _checkGenericConstraints = (ctx, typeName, parameter, genericDefType, rawSchemaTypes, from) => {
+	if (!parameter || !parameter.constraints)
+		return
+	const isGenericType = _getGenericTypeName(typeName) == typeName // e.g., 'Edge<User>', but not '[Edge<User>]'
+	const schemaType = rawSchemaTypes.find(x => x.name == typeName) || (isGenericType ? ctx.concreteGenericTypes[_getAliasName(ctx, typeName)] : null)
+	// The concrete types of a generic type do not keep its 'inherits', so the ancestors of its definition (e.g., 
+	// 'Edge<T>' for 'Edge<User>') are added too.
+	const genericTypePrefix = isGenericType ? `${_getNamedTypeRef(parseTypeReference(typeName)).name}<` : null
+	const genericDefinition = genericTypePrefix ? rawSchemaTypes.find(({ name }) => name.indexOf(genericTypePrefix) == 0) : null
+	const ancestors = _.uniq(_.flatten([schemaType, genericDefinition].filter(x => x).map(x => _getAncestorNames(x, rawSchemaTypes))))
+	const violatedConstraint = parameter.constraints.find(constraint => {
+		const category = GENERIC_CONSTRAINT_CATEGORIES[constraint]
+		if (category == 'SCALAR')
+			return !isScalarType(typeName) && !(schemaType && schemaType.type == 'SCALAR')
+		if (category)
+			return !schemaType || schemaType.type != category
+		if (!isScalarType(constraint) && !rawSchemaTypes.some(x => x.name == constraint)) {
+			_reportError(ctx, 'UNKNOWN_TYPE', `Type '${constraint}' cannot be found in the schema.`, { path: [genericDefType.name], loc: parameter.loc })
+			return false
+		}
+		return typeName != constraint && ancestors.indexOf(constraint) < 0
+	})
+	if (violatedConstraint)
+		_reportError(ctx,
+			'GENERIC_CONSTRAINT_VIOLATION',
+			`Type '${typeName}' does not satisfy the constraint '${parameter.name}: ${parameter.constraints.join(' & ')}' of generic type ${genericDefType.name}.`,
+			from)
+}
+
 /**
  * Gets the type from 'rawSchemaTypes'. 
  * 
+ * @param  {Object} 	  ctx            	Context of the run (see '_createContext').
  * @param  {String} 	  typeName       	e.g., 'User', or 'Paged<User>' 
  * @param  {[SchemaType]} rawSchemaTypes 	Array of not fully compiled Schema type objects.
  * @param  {[Comments]}   comments			comments[].text, comments[].property.type, comments[].property.name 
+ * @param  {Object}       from 				Schema type or field that uses 'typeName' (e.g., { path: ['User'], loc: { ... } }).
  * @return {SchemaType}                		Schema type from 'rawSchemaTypes' that matches 'typeName'. If 'typeName' is
  *											a generic type (e.g., 'Paged<User>'), the the returned type is fully compiled.
+ *											Null if the type cannot be found.
  */
-const _getType = (typeName, rawSchemaTypes, comments) => {
+const _getType = (ctx, typeName, rawSchemaTypes, comments, from) => {
 	let type = rawSchemaTypes.find(({ name }) => name == typeName)
 	// 3.1. Double-check that the missing super class is not a generic type. 
 	if (!type) {
 		if (!_isGenericTypeDefined(typeName, rawSchemaTypes))
-			throw new Error(`Schema error: Type '${typeName}' cannot be found in the schema.`)
+			return _reportError(ctx, 'UNKNOWN_TYPE', `Type '${typeName}' cannot be found in the schema.`, from)
 
-		type = _resolveGenericType({
+		type = _resolveGenericType(ctx, {
 			concreteGenericTypeName:typeName,
 			rawSchemaTypes,
-			comments
+			comments,
+			aliasName: _getAliasName(ctx, typeName),
+			from
 		})
 	}
 
 	return type
 }
 
-const _resolveGenericBlockProperies = (blockProperties,rawSchemaTypes,comments) => (blockProperties || []).forEach(prop => {
+/**
+ * Gets the transpiled name of a type. Generic types (e.g., 'Collection<User>') are resolved as a side-effect.
+ * 
+ * @param  {Object} 	  ctx            	Context of the run (see '_createContext').
+ * @param  {String} 	  typeName       	e.g., 'User', or 'Collection<User>' 
+ * @param  {[SchemaType]} rawSchemaTypes 	Array of not fully compiled Schema type objects.
+ * @param  {[Comments]}   comments			comments[].text, comments[].property.type, comments[].property.name 
+ * @param  {Object}       from 				Schema type or field that uses 'typeName' (e.g., { path: ['User'], loc: { ... } }).
+ * @return {String}                			e.g., 'User', or 'CollectionUser'. Null if the generic type cannot be resolved.
+ */
+const _resolveTypeName = (ctx, typeName, rawSchemaTypes, comments, from) => {
+	if (!_getGenericTypeName(typeName))
+		return typeName
+	const schemaType = _getType(ctx, typeName, rawSchemaTypes, comments, from)
+	return schemaType ? schemaType.name : null
+}
+
+const _resolveGenericBlockProperies = (ctx, blockProperties,rawSchemaTypes,comments,parentName) => (blockProperties || []).forEach(prop => {
 	if (prop && prop.details && prop.details.result && prop.details.result.isGen && !prop.details.result.dependsOnParent) 
-		_resolveGenericType({ concreteGenericTypeName:prop.details.result.originName, rawSchemaTypes, comments, aliasName:prop.details.result.name })
+		_resolveGenericType(ctx, { 
+			concreteGenericTypeName:prop.details.result.originName, 
+			rawSchemaTypes, 
+			comments, 
+			aliasName:_getAliasName(ctx, _getGenericTypeName(prop.details.result.originName), prop.details.result.metadata),
+			from: { path: [parentName, prop.details.name], loc: prop.details.loc }
+		})
 })
 
-let memoizedExtendedObject = {}
+const INHERITANCE_CONFLICT_POLICIES = ['error', 'first-wins', 'last-wins']
+const METADATA_MERGE_POLICIES = ['override', 'append', 'deep-merge']
+const GENERIC_NAMING_OPTIONS = ['prefix', 'suffix', 'separator']
+
+/**
+ * Creates the context of a run. It holds the objects memoized while resolving the schema types, as well as the 
+ * transpiler's options they depend on, so that a schema can be transpiled while another one is (e.g., in a 
+ * 'genericNaming' function).
+ * 
+ * @param  {Object}  options 		Transpiler's options (see 'transpile').
+ * @param  {[Error]} errors 		If defined, the errors found in the schema are pushed into this array instead of being 
+ *                          		thrown.
+ * @return {Object}  ctx
+ * @return {Object}  ctx.concreteGenericTypes 		Resolved concrete generic types (e.g., { PagedUser: { ... } }).
+ * @return {Object}  ctx.concreteGenericOrigins 	Generic type each concrete generic type was created from (e.g., 
+ *                                              	{ PagedUser: 'Paged<User>' }).
+ * @return {Object}  ctx.genericSchemaObjects 		Generic types used by the fields and their arguments.
+ * @return {Object}  ctx.extendedObjects 			Resolved schema types.
+ * @return {Object}  ctx.interfacesWithAncestors 	e.g. { Person: ['Person', 'Node'] }
+ * @return {Object}  ctx.genericNameAliases 		e.g. { 'Paged<User>': 'PagedUser' }
+ * @return {Array}   ctx.aliases 					'@alias' metadata of the schema (null until they are memoized).
+ * @return {Array}   ctx.inheritanceChain 			Names of the schema types being resolved (e.g., ['Student', 'Person'] 
+ *                                         			while resolving the super class of 'Student').
+ * @return {String}  ctx.inheritanceConflicts 		Policy used when several super classes define the same field with 
+ *                                            		different types ('error', 'first-wins' or 'last-wins').
+ * @return {Object}  ctx.metadataMerge 				Policy used to merge the inherited metadata of each metadata name 
+ *                                     				(e.g., { auth: 'append' }).
+ * @return {Object}  ctx.genericNaming 				Naming strategy of the generic types without '@alias' (e.g., 
+ *                                     				{ prefix: 'Gen', separator: '_' }).
+ * @return {Boolean} ctx.allowAliasEval 			Whether the '@alias' metadata can contain JavaScript functions.
+ * @return {[Error]} ctx.errors 					Errors collected while resolving the schema types. When null, errors 
+ *                              					are thrown straight away.
+ */
+const _createContext = (options, errors) => {
+	const { inheritanceConflicts='first-wins', metadataMerge={}, genericNaming={}, allowAliasEval } = options || {}
+	if (INHERITANCE_CONFLICT_POLICIES.indexOf(inheritanceConflicts) < 0)
+		throw new Error(`Invalid argument. 'options.inheritanceConflicts' must be one of: ${INHERITANCE_CONFLICT_POLICIES.join(', ')}.`)
+	const invalidMetadataName = Object.keys(metadataMerge).find(name => METADATA_MERGE_POLICIES.indexOf(metadataMerge[name]) < 0)
+	if (invalidMetadataName)
+		throw new Error(`Invalid argument. 'options.metadataMerge.${invalidMetadataName}' must be one of: ${METADATA_MERGE_POLICIES.join(', ')}.`)
+	const naming = typeof(genericNaming) == 'function' ? { format: genericNaming } : genericNaming
+	const invalidNamingOption = GENERIC_NAMING_OPTIONS.find(name => naming[name] !== undefined && typeof(naming[name]) != 'string')
+	if (invalidNamingOption)
+		throw new Error(`Invalid argument. 'options.genericNaming.${invalidNamingOption}' must be a string.`)
+	if (naming.format !== undefined && typeof(naming.format) != 'function')
+		throw new Error('Invalid argument. \'options.genericNaming.format\' must be a function.')
+	return {
+		concreteGenericTypes: {},
+		concreteGenericOrigins: {},
+		genericSchemaObjects: {},
+		extendedObjects: {},
+		interfacesWithAncestors: {},
+		genericNameAliases: {},
+		aliases: null,
+		inheritanceChain: [],
+		inheritanceConflicts,
+		metadataMerge,
+		genericNaming: naming,
+		allowAliasEval: allowAliasEval ? true : false,
+		errors: errors || null
+	}
+}
+
 /**
- * [description]
+ * Resolves a schema type, i.e. adds the fields, metadata and interfaces it inherits from its super classes, derives its 
+ * fields if it is an input derived from a type, and resolves the generic types its fields use. The result is memoized 
+ * in 'ctx.extendedObjects'.
+ * 
+ * @param  {Object}       ctx       		Context of the run (see '_createContext').
  * @param  {SchemaType}   schemaType		Not fully compiled Schema type object. 
  * @param  {[SchemaType]} rawSchemaTypes	Array of not fully compiled Schema type objects.
  * @param  {[Comments]}   comments			comments[].text, comments[].property.type, comments[].property.name 
  * @return {SchemaType}                		Resolved Schema Type object.
  */
-const _resolveSchemaType = (schemaType, rawSchemaTypes, comments) => {
+const _resolveSchemaType = (ctx, schemaType, rawSchemaTypes, comments) => {
+	// 0. Inputs derived from a type (e.g., 'input UserInput from User') are resolved once their derived fields are added.
+	if (schemaType && rawSchemaTypes && schemaType.derivedFrom)
+		return _resolveSchemaType(ctx, _getDerivedInput(ctx, schemaType, rawSchemaTypes, comments), rawSchemaTypes, comments)
+
 	const resolvedType = (() => {
 		// 1. Use the trivial resolution method if the schema type does not need advanced resolution (i.e., it does not 
 		// 	  inherits from complex types, or is not a generic type).
 		if (!schemaType || !rawSchemaTypes || !schemaType.inherits) 
-			return _resolveUsingTrivialMethod(schemaType, rawSchemaTypes, comments)
+			return _resolveUsingTrivialMethod(ctx, schemaType, rawSchemaTypes, comments)
 
 		// 2. Returns immediately if the schema type has already been resolved.
 		const key = `${schemaType.type}_${schemaType.name}_${schemaType.genericType}`
-		if (memoizedExtendedObject[key]) 
-			return memoizedExtendedObject[key]
+		if (ctx.extendedObjects[key]) 
+			return ctx.extendedObjects[key]
 
 		// 3. Resolve the inherited types first. 
-		const superClasses = schemaType.inherits.map(superClassName => _getType(superClassName, rawSchemaTypes, comments))
-
-		const superClassesWithInheritance = superClasses.map((superClass) => {
-			if (!_inheritingIsAllowed(schemaType, superClass)){
-				throw new Error('Schema error: ' + schemaType.type.toLowerCase() + ' ' + schemaType.name + ' cannot inherit from ' + superClass.type + ' ' + superClass.name + '.')  
-			}            
-			return _resolveSchemaType(superClass, rawSchemaTypes, comments)
+		const superClasses = schemaType.inherits.map(superClassName => _getType(ctx, superClassName, rawSchemaTypes, comments, _getTypeRef(schemaType)))
+
+		ctx.inheritanceChain.push(schemaType.name)
+		const resolvedSuperClasses = superClasses.map((superClass) => {
+			if (!superClass)
+				return null
+			if (!_inheritingIsAllowed(schemaType, superClass))
+				return _reportError(ctx,
+					'INVALID_INHERITANCE', 
+					schemaType.type.toLowerCase() + ' ' + schemaType.name + ' cannot inherit from ' + superClass.type + ' ' + superClass.name + '.', 
+					_getTypeRef(schemaType))
+			const cycleStart = ctx.inheritanceChain.indexOf(superClass.name)
+			if (cycleStart >= 0)
+				return _reportError(ctx,
+					'INHERITANCE_CYCLE', 
+					`Inheritance cycle detected: ${[...ctx.inheritanceChain.slice(cycleStart), superClass.name].join(' -> ')}.`, 
+					_getTypeRef(schemaType))
+			return _resolveSchemaType(ctx, superClass, rawSchemaTypes, comments)
 		})
+		ctx.inheritanceChain.pop()
+		const superClassesWithInheritance = resolvedSuperClasses.filter(x => x)
+
+		// 3.1. Exclude or rename the inherited properties (e.g., 'inherits User without { passwordHash } { email as contactEmail }').
+		const inheritedProps = resolvedSuperClasses
+			.map((superClass, idx) => superClass 
+				? Object.assign({ superClass: superClass.name }, _getInheritedBlockProps(ctx, superClass, (schemaType.inheritedFields || [])[idx], schemaType)) 
+				: null)
+			.filter(x => x)
+
+		// 3.2. Enum values and union members cannot be inherited more than once.
+		if (schemaType.type == 'ENUM' || schemaType.type == 'UNION')
+			_checkDuplicateValues(ctx, schemaType, superClassesWithInheritance)
+
+		// 3.3. Check that the redefined inherited properties are compatible with the ones they override.
+		_checkOverriddenProps(ctx, schemaType, inheritedProps, rawSchemaTypes)
 
 		// 4. Merge the super classes properties with the current schema type properties.
-		const schemaTypeBlockProps = superClassesWithInheritance.length
-			? superClassesWithInheritance.reduce((acc,superClass) => {
-				const propertiesNotAlreadyIncluded = superClass.blockProps.filter(prop=> !acc.some(originalProp => originalProp.details.name == prop.details.name))
-				acc.push(...propertiesNotAlreadyIncluded)
-				return acc
-			}, schemaType.blockProps)
-			: schemaType.blockProps
-
-		// 5. Resolve all generic properties. WARNING: This code creates side-effects by mutating '_memoizedConcreteGenericTypes'. 
-		// This is the intended goal as '_memoizedConcreteGenericTypes' is used to in '_getSchemaBits' to get the new generic ASTs.
-		_resolveGenericBlockProperies(schemaTypeBlockProps,rawSchemaTypes, comments)
+		const { blockProps: schemaTypeBlockProps, fieldSources } = _mergeInheritedBlockProps(ctx, schemaType, inheritedProps)
+
+		// 4.1. Merge the metadata of the super classes with the current schema type metadata.
+		const allMetadata = _mergeMetadata(ctx,
+			_.flatten(superClassesWithInheritance.map(_getAllMetadata)), 
+			schemaType.allMetadata || [], 
+			true)
+
+		// 4.2. The main metadata is the own one, or else the one of the closest super class, as merged above.
+		const mainMetadata = schemaType.metadata || (_.last(superClassesWithInheritance) || {}).metadata
+		const metadata = mainMetadata ? allMetadata.find(m => m.name == mainMetadata.name) || null : null
+
+		// 5. Resolve all generic properties. WARNING: This code creates side-effects by mutating 'ctx.concreteGenericTypes'. 
+		// This is the intended goal as 'ctx.concreteGenericTypes' is used in 'getSchemaParts' to get the new generic ASTs.
+		_resolveGenericBlockProperies(ctx, schemaTypeBlockProps,rawSchemaTypes, comments, schemaType.name)
 
 		const objWithInheritance = {
 			type: schemaType.type,
 			name: schemaType.name,
 			genericType: schemaType.genericType,
 			originalBlockProps: schemaType.blockProps,
-			metadata: schemaType.metadata || _.last(superClassesWithInheritance).metadata || null,
+			metadata,
+			allMetadata,
 			directive: schemaType.directive,
 			implements: _.toArray(_.uniq(_.concat(schemaType.implements, superClassesWithInheritance.implements).filter(function(x) {
 				return x
 			}))),
 			inherits: superClassesWithInheritance,
-			blockProps: schemaTypeBlockProps
+			blockProps: schemaTypeBlockProps,
+			fieldSources,
+			members: schemaType.type == 'UNION' 
+				? _.uniq([...(schemaType.members || []), ..._.flatten(superClassesWithInheritance.map(x => x.members || []))]) 
+				: undefined,
+			droppedFields: [...(schemaType.droppedFields || []), ..._.flatten(inheritedProps.map(({ droppedFields }) => droppedFields))],
+			loc: schemaType.loc
 		}
 
-		memoizedExtendedObject[key] = objWithInheritance
-		return _resolveUsingTrivialMethod(objWithInheritance, rawSchemaTypes, comments)
+		ctx.extendedObjects[key] = objWithInheritance
+		return _resolveUsingTrivialMethod(ctx, objWithInheritance, rawSchemaTypes, comments)
 	})()
 
 	// 4. Add comments
 	return _addComments(resolvedType, comments)
 }
 
+// All the metadata of a schema type or of a property's details. Those created without 'allMetadata' only have 'metadata'.
+const _getAllMetadata = obj => obj.allMetadata || (obj.metadata ? [obj.metadata] : [])
 
-// const _getObjWithExtensions = (schemaType, rawSchemaTypes) => {
-// 	if (schemaType && rawSchemaTypes && schemaType.inherits) {
-
-// 		const key = `${schemaType.type}_${schemaType.name}_${schemaType.genericType}`
-// 		if (memoizedExtendedObject[key]) return memoizedExtendedObject[key]
-
-// 		const superClass = rawSchemaTypes.filter(function(x) {
-// 			return schemaType.inherits.indexOf(x.name) > -1
-// 		}).value()
-// 		const superClassNames = rawSchemaTypes.map(function(x) {
-// 			return x.name
-// 		}).value()
-// 		//find missing classes
-// 		const missingClasses = _.difference(schemaType.inherits, superClassNames)
-
-// 		missingClasses.forEach(function(c){
-// 			throw new Error('Schema error: ' + schemaType.type.toLowerCase() + ' ' + schemaType.name + ' cannot find inherited ' + schemaType.type.toLowerCase() + ' ' + c)
-// 		})
-
-// 		const superClassesWithInheritance = superClass.map(function(subClass){
-
-// 			if (!_inheritingIsAllowed(schemaType, subClass)){
-// 				throw new Error('Schema error: ' + schemaType.type.toLowerCase() + ' ' + schemaType.name + ' cannot inherit from ' + subClass.type + ' ' + subClass.name + '.')  
-// 			}            
-// 			return _getObjWithExtensions(subClass, rawSchemaTypes)
-// 		})
-
-// 		const objWithInheritance = {
-// 			type: schemaType.type,
-// 			name: schemaType.name,
-// 			genericType: schemaType.genericType,
-// 			originalBlockProps: schemaType.blockProps,
-// 			metadata: schemaType.metadata || _.last(superClassesWithInheritance).metadata || null,
-// 			directive: schemaType.directive,
-// 			implements: _.toArray(_.uniq(_.concat(schemaType.implements, superClassesWithInheritance.implements).filter(function(x) {
-// 				return x
-// 			}))),
-// 			inherits: superClassesWithInheritance,
-// 			blockProps: (superClassesWithInheritance instanceof Array ?
-// 				_.toArray(_.flatten(_.concat(_.flatten(superClassesWithInheritance.map(function(subClass){
-// 				return subClass.blockProps.filter(prop=>!schemaType.blockProps.find(originalProp=>originalProp.details.name==prop.details.name))
-// 			})), schemaType.blockProps))):
-// 				_.toArray(_.flatten(_.concat(superClassesWithInheritance.blockProps, schemaType.blockProps)))
-// 			)
-// 		}
-
-// 		memoizedExtendedObject[key] = objWithInheritance
-// 		return _resolveUsingTrivialMethod(objWithInheritance, rawSchemaTypes)
-// 	}
-// 	else
-// 		return _resolveUsingTrivialMethod(schemaType)
-// }
-
-const _inheritingIsAllowed = (obj, subClass) => {
-	if (obj.type === 'TYPE')
-		return subClass.type === 'TYPE' || subClass.type === 'INTERFACE'
-	else 
-		return obj.type === subClass.type
-}
+const _isConflictingProp = (prop, otherProp) => 
+	(prop.details.result || {}).name != (otherProp.details.result || {}).name || 
+	(prop.details.params || '') != (otherProp.details.params || '')
 
-const _resolveUsingTrivialMethod = (obj, rawSchemaTypes, comments) => {
-	if (obj && obj.blockProps)
-		_resolveGenericBlockProperies(obj.blockProps, rawSchemaTypes, comments)
-	if (obj && rawSchemaTypes && obj.implements && obj.implements.length > 0) {
-		const interfaceWithAncestors = _.toArray(_.uniq(_.flatten(_.concat(obj.implements.map(i => _getInterfaceWithAncestors(i, rawSchemaTypes))))))
-		return {
-			type: obj.type,
-			name: obj.name,
-			genericType: obj.genericType,
-			originalBlockProps: obj.blockProps,
-			metadata: obj.metadata,
-			implements: interfaceWithAncestors,
-			inherits: obj.inherits,
-			blockProps: obj.blockProps
+/**
+ * Merges the properties of a schema type with the ones it inherits. The schema type's own properties always win. When
+ * several super classes define the same property with different types (e.g., diamond inheritance), the conflict is
+ * either reported or resolved based on the 'inheritanceConflicts' option. The provenance of each property is tracked
+ * in its 'inheritedFrom' and 'overrides' fields.
+ * 
+ * @param  {Object}     ctx        						Context of the run (see '_createContext').
+ * @param  {SchemaType} schemaType 						Not fully compiled Schema type object.
+ * @param  {Array}      inheritedProps 					[{ superClass: 'User', blockProps: [...], droppedFields: [...] }]
+ * @return {Array}      output.blockProps 				Merged properties.
+ * @return {Object}     output.fieldSources 			Type each property comes from (e.g., { id: 'Node', name: 'Student' }).
+ */
+const _mergeInheritedBlockProps = (ctx, schemaType, inheritedProps) => {
+	const blockProps = schemaType.blockProps.map(prop => {
+		const overriddenProps = _.flatten(inheritedProps.map(({ blockProps: props }) => props.filter(p => p.details.name == prop.details.name)))
+		if (!overriddenProps.length)
+			return prop
+		const allMetadata = _mergeMetadata(ctx, _.flatten(overriddenProps.map(p => _getAllMetadata(p.details))), _getAllMetadata(prop.details), false)
+		return Object.assign({}, prop, { 
+			details: Object.assign({}, prop.details, { metadata: allMetadata[0] || null, allMetadata }),
+			overrides: _.uniq(overriddenProps.map(p => p.declaredIn)) 
+		})
+	})
+	const fieldSources = blockProps.reduce((acc, prop) => {
+		acc[prop.details.name] = schemaType.name
+		return acc
+	}, {})
+
+	inheritedProps.forEach(({ superClass, blockProps: props }) => props.forEach(inheritedProp => {
+		const prop = Object.assign({}, inheritedProp, { inheritedFrom: [superClass, ...(inheritedProp.inheritedFrom || [])] })
+		const name = prop.details.name
+		const idx = blockProps.findIndex(p => p.details.name == name)
+		if (idx < 0) {
+			blockProps.push(prop)
+			fieldSources[name] = superClass
 		}
-	}
-	else
-		return obj
-}
+		else if (fieldSources[name] != schemaType.name && _isConflictingProp(blockProps[idx], prop)) {
+			if (ctx.inheritanceConflicts == 'error')
+				_reportError(ctx,
+					'INHERITANCE_CONFLICT',
+					`Field '${name}' is inherited from both ${fieldSources[name]} ('${blockProps[idx].value}') and ${superClass} ('${prop.value}') ` + 
+					`by ${schemaType.type.toLowerCase()} ${schemaType.name}. Override that field in ${schemaType.name} to resolve the conflict.`,
+					{ path: [schemaType.name, name], loc: schemaType.loc })
+			else if (ctx.inheritanceConflicts == 'last-wins') {
+				blockProps[idx] = prop
+				fieldSources[name] = superClass
+			}
+		}
+	}))
 
-let memoizedInterfaceWithAncestors = {}
-const _getInterfaceWithAncestors = (_interface, schemaObjects) => {
-	if (memoizedInterfaceWithAncestors[_interface]) return memoizedInterfaceWithAncestors[_interface]
-	const interfaceObj = schemaObjects.filter(x => x.name == _interface)[0]
-	if (!interfaceObj) throw new Error(`Schema error: interface ${_interface} is not defined.`)
-	if (interfaceObj.type != 'INTERFACE') throw new Error(`Schema error: Schema property ${_interface} is not an interface. It cannot be implemented.`)
+	return { blockProps, fieldSources }
+}
 
-	const interfaceWithAncestors = interfaceObj.implements && interfaceObj.implements.length > 0
-		? _.toArray(_.uniq(_.flatten(_.concat(
+/**
+ * Merges metadata with the same name (e.g., '@auth(roles: ["admin"])' on 'Node' and '@auth(roles: ["teacher"])' on 
+ * 'Student' which inherits from 'Node'):
+ * 		- 'override': The closest metadata wins (e.g., '@auth(roles: ["teacher"])').
+ * 		- 'append': The values of each argument are concatenated (e.g., { roles: ['admin', 'teacher'] }).
+ * 		- 'deep-merge': The arguments are merged recursively and the closest values win.
+ * The merged arguments are available in the 'args' property of the merged metadata. If some metadata bodies are not made
+ * of GraphQL arguments, the closest metadata wins.
+ * 
+ * @param  {[Object]} entries 	Metadata with the same name, from the farthest ancestor to the closest one.
+ * @param  {String}   policy  	'override', 'append' or 'deep-merge'.
+ * @return {Object}           	Merged metadata.
+ */
+const _mergeMetadataEntries = (entries, policy) => {
+	const closest = _.last(entries)
+	const argsList = entries.map(m => m.args || parseArgumentValues(m.body))
+	if (policy == 'override' || entries.length < 2 || argsList.some(args => !args))
+		return closest
+
+	const args = policy == 'append'
+		? argsList.reduce((acc, values) => {
+			Object.keys(values).forEach(key => acc[key] = [..._.castArray(acc[key] === undefined ? [] : acc[key]), ..._.castArray(values[key])])
+			return acc
+		}, {})
+		: _.mergeWith({}, ...argsList, (value, srcValue) => Array.isArray(srcValue) ? srcValue : undefined)
+	return Object.assign({}, closest, { args })
+}
+
+/**
+ * Merges the metadata of a schema type (or property) with the metadata it inherits, based on the 'metadataMerge' option.
+ * 
+ * @param  {Object}   ctx               	Context of the run (see '_createContext').
+ * @param  {[Object]} inheritedMetadata 	Inherited metadata, from the farthest ancestor to the closest one.
+ * @param  {[Object]} ownMetadata 			Metadata of the schema type (or property).
+ * @param  {Boolean}  inheritUnconfigured 	If true, the inherited metadata whose name has no merge policy are inherited 
+ *                                        	too (the closest one wins). Otherwise, only the own ones are kept.
+ * @return {[Object]}                		Merged metadata (the own ones first).
+ */
+const _mergeMetadata = (ctx, inheritedMetadata, ownMetadata, inheritUnconfigured) => {
+	const allMetadata = [...inheritedMetadata, ...ownMetadata]
+	return _.uniq([...ownMetadata, ...inheritedMetadata].map(m => m.name)).map(name => {
+		const policy = ctx.metadataMerge[name]
+		const entries = allMetadata.filter(m => m.name == name)
+		if (!policy)
+			return ownMetadata.find(m => m.name == name) || (inheritUnconfigured ? _.last(entries) : null)
+		return _mergeMetadataEntries(entries, policy)
+	}).filter(x => x)
+}
+
+/**
+ * Determines whether a named type can be used where another named type is expected, i.e. both are the same type, or 
+ * the first one is a member of the second one (union), or inherits from or implements it.
+ * 
+ * @param  {Object}       ctx      			Context of the run (see '_createContext').
+ * @param  {String}       typeName 			e.g. 'Student'
+ * @param  {String}       superTypeName 	e.g. 'Person'
+ * @param  {[SchemaType]} rawSchemaTypes 	Array of not fully compiled Schema type objects.
+ * @return {Boolean}
+ */
+const _isNamedSubType = (ctx, typeName, superTypeName, rawSchemaTypes) => {
+	if (typeName == superTypeName)
+		return true
+	const findType = name => rawSchemaTypes.find(x => x.name == name) || ctx.concreteGenericTypes[name]
+	const schemaType = findType(typeName)
+	const superType = findType(superTypeName)
+	if (!schemaType || !superType)
+		return false
+	if (superType.type == 'UNION')
+		return (superType.members || []).indexOf(typeName) >= 0
+	return _getAncestorNames(schemaType, rawSchemaTypes).indexOf(superTypeName) >= 0
+}
+
+/**
+ * Determines whether a field's type is a valid override of an inherited field's type following the GraphQL interface
+ * covariance rules (e.g., 'ID!' can override 'ID', and 'Student' can override 'Person' if 'Student' inherits 'Person').
+ * 
+ * @param  {Object}       ctx     			Context of the run (see '_createContext').
+ * @param  {TypeRef}      typeRef 			e.g. the type reference of '[Student!]'
+ * @param  {TypeRef}      superTypeRef 		e.g. the type reference of '[Person]'
+ * @param  {[SchemaType]} rawSchemaTypes 	Array of not fully compiled Schema type objects.
+ * @return {Boolean}
+ */
+const _isCovariantTypeRef = (ctx, typeRef, superTypeRef, rawSchemaTypes) => {
+	if (superTypeRef.kind == 'NON_NULL')
+		return typeRef.kind == 'NON_NULL' && _isCovariantTypeRef(ctx, typeRef.ofType, superTypeRef.ofType, rawSchemaTypes)
+	if (typeRef.kind == 'NON_NULL')
+		return _isCovariantTypeRef(ctx, typeRef.ofType, superTypeRef, rawSchemaTypes)
+	if (superTypeRef.kind == 'LIST')
+		return typeRef.kind == 'LIST' && _isCovariantTypeRef(ctx, typeRef.ofType, superTypeRef.ofType, rawSchemaTypes)
+	if (typeRef.kind == 'LIST')
+		return false
+	return _isNamedSubType(ctx, printTypeReference(typeRef), printTypeReference(superTypeRef), rawSchemaTypes)
+}
+
+/**
+ * Gets the reason why a property cannot override an inherited property.
+ * 
+ * @param  {Object}       ctx  				Context of the run (see '_createContext').
+ * @param  {Object}       prop 				Property of the schema type.
+ * @param  {Object}       overriddenProp 	Inherited property with the same name.
+ * @param  {[SchemaType]} rawSchemaTypes 	Array of not fully compiled Schema type objects.
+ * @return {String}                			e.g. 'type \'String\' is not compatible with type \'ID!\''. Null if the override is valid.
+ */
+const _getOverrideProblem = (ctx, prop, overriddenProp, rawSchemaTypes) => {
+	const typeName = prop.details.result.name
+	const superTypeName = overriddenProp.details.result.name
+	if (!_isCovariantTypeRef(ctx, parseTypeReference(typeName), parseTypeReference(superTypeName), rawSchemaTypes))
+		return `type '${typeName}' is not compatible with type '${superTypeName}'`
+
+	const args = prop.details.args || []
+	const superArgs = overriddenProp.details.args || []
+	const missingArg = superArgs.find(superArg => !args.some(arg => arg.name == superArg.name))
+	if (missingArg)
+		return `argument '${missingArg.name}' is missing`
+	const changedArg = superArgs.find(superArg => args.some(arg => arg.name == superArg.name && arg.type != superArg.type))
+	if (changedArg)
+		return `argument '${changedArg.name}' must be of type '${changedArg.type}'`
+	const requiredArg = args.find(arg => !superArgs.some(superArg => superArg.name == arg.name) && /!$/.test(arg.type) && !arg.defaultValue)
+	if (requiredArg)
+		return `additional argument '${requiredArg.name}' cannot be required`
+	return null
+}
+
+/**
+ * Reports the properties of a type or an interface that redefine an inherited property in an incompatible way (e.g., 
+ * 'id: String' in 'type Student inherits Node' where 'Node' defines 'id: ID!'). As such overrides used to be silently 
+ * accepted, they are reported as warnings.
+ * 
+ * @param  {Object}       ctx        		Context of the run (see '_createContext').
+ * @param  {SchemaType}   schemaType 		Not fully compiled Schema type object.
+ * @param  {Array}        inheritedProps 	[{ superClass: 'Node', blockProps: [...], droppedFields: [...] }]
+ * @param  {[SchemaType]} rawSchemaTypes 	Array of not fully compiled Schema type objects.
+ * @return {Void}
+ */
+const _checkOverriddenProps = (ctx, schemaType, inheritedProps, rawSchemaTypes) => {
+	// The properties of generic types are checked once their generic parameters are replaced with concrete types.
+	if (schemaType.genericType || ['TYPE', 'INTERFACE', 'ABSTRACT'].indexOf(schemaType.type) < 0)
+		return
+	schemaType.blockProps.forEach(prop => inheritedProps.forEach(({ superClass, blockProps }) => {
+		const overriddenProp = blockProps.find(p => p.details.name == prop.details.name)
+		const problem = overriddenProp && prop.details.result && overriddenProp.details.result 
+			? _getOverrideProblem(ctx, prop, overriddenProp, rawSchemaTypes) 
+			: null
+		if (problem)
+			_reportWarning(ctx,
+				'INVALID_OVERRIDE',
+				`Field '${prop.details.name}' of ${schemaType.type.toLowerCase()} ${schemaType.name} cannot override field '${prop.details.name}' of ${superClass} (${problem}).`,
+				{ path: [schemaType.name, prop.details.name], loc: prop.details.loc })
+	}))
+}
+
+/**
+ * Reports the enum values (or union members) that are declared in both an enum (or union) and one of its super classes,
+ * or in more than one of its super classes. A value inherited through several paths (e.g., 'enum SuperRole inherits 
+ * Role, AdminRole' where 'AdminRole' inherits 'Role') is not a duplicate.
+ * 
+ * @param  {Object}       ctx        	Context of the run (see '_createContext').
+ * @param  {SchemaType}   schemaType 	Enum or union.
+ * @param  {[SchemaType]} superClasses 	Resolved super classes of 'schemaType'.
+ * @return {Void}
+ */
+const _checkDuplicateValues = (ctx, schemaType, superClasses) => {
+	const isEnum = schemaType.type == 'ENUM'
+	const getValues = obj => isEnum ? obj.blockProps.map(prop => prop.details.name) : (obj.members || [])
+	// Resolved super classes keep track of their own resolved super classes in 'inherits'.
+	const getDeclaringType = (obj, value) => {
+		const superClass = (obj.inherits || []).find(x => x && x.name && getValues(x).indexOf(value) >= 0)
+		return superClass ? getDeclaringType(superClass, value) : obj
+	}
+	const declaredIn = {}
+	const sources = [schemaType, ...superClasses]
+	sources.forEach(obj => _.uniq(getValues(obj)).forEach(value => {
+		const declaringType = obj == schemaType ? obj : getDeclaringType(obj, value)
+		if (!declaredIn[value]) {
+			declaredIn[value] = declaringType
+			return
+		}
+		if (declaredIn[value] == declaringType)
+			return
+		const ownProp = isEnum ? schemaType.blockProps.find(prop => prop.details.name == value) : null
+		_reportError(ctx,
+			isEnum ? 'DUPLICATE_ENUM_VALUE' : 'DUPLICATE_UNION_MEMBER',
+			isEnum
+				? `Enum value '${value}' is defined in both enum ${declaredIn[value].name} and enum ${declaringType.name}.`
+				: `Member '${value}' is included in both union ${declaredIn[value].name} and union ${declaringType.name}.`,
+			{ path: [schemaType.name, value], loc: ownProp ? ownProp.details.loc : schemaType.loc })
+	}))
+}
+
+/**
+ * Gets the properties that a schema type inherits from one of its super classes, i.e. the super class's properties
+ * without the excluded ones and with the renamed ones.
+ *
+ * @param  {Object}     ctx        				Context of the run (see '_createContext').
+ * @param  {SchemaType} superClass 				Resolved super class.
+ * @param  {Object}     inheritedFields 		e.g. { without: [{ name: 'passwordHash', loc }], renames: [{ name: 'email', alias: 'contactEmail', loc }] }
+ * @param  {SchemaType} schemaType 				Schema type that inherits from 'superClass'.
+ * @return {Array}      output.blockProps 		Inherited properties.
+ * @return {Array}      output.droppedFields 	e.g. [{ name: 'passwordHash', superClass: 'User' }]
+ */
+const _getInheritedBlockProps = (ctx, superClass, inheritedFields, schemaType) => {
+	if (!inheritedFields)
+		return { blockProps: superClass.blockProps, droppedFields: [] }
+
+	const { without, renames } = inheritedFields
+	const hasField = name => superClass.blockProps.some(prop => prop.details.name == name)
+	without.concat(renames).filter(field => !hasField(field.name)).forEach(field => _reportError(ctx,
+		'UNKNOWN_FIELD', 
+		`Field '${field.name}' cannot be found in ${superClass.type.toLowerCase()} ${superClass.name}.`, 
+		{ path: [schemaType.name, field.name], loc: field.loc }))
+
+	const blockProps = superClass.blockProps
+		.filter(prop => !without.some(field => field.name == prop.details.name))
+		.map(prop => {
+			const rename = renames.find(field => field.name == prop.details.name)
+			if (!rename)
+				return prop
+			const details = Object.assign({}, prop.details, { name: rename.alias })
+			return Object.assign({}, prop, { details, value: _getPropertyValue(details) })
+		})
+
+	return { 
+		blockProps, 
+		droppedFields: without.filter(field => hasField(field.name)).map(field => ({ name: field.name, superClass: superClass.name }))
+	}
+}
+
+const DERIVED_INPUT_SOURCE_TYPES = ['TYPE', 'INTERFACE']
+
+/**
+ * Gets the input type a field's type maps to in an input derived from a type. Scalars, enums and inputs are kept as is, 
+ * while types and interfaces map to the input derived from them (e.g., 'input AddressInput from Address') or, if there
+ * is none, to the input named after them (e.g., 'AddressInput').
+ * 
+ * @param  {Object} 	  ctx            	Context of the run (see '_createContext').
+ * @param  {String} 	  typeName       	e.g., '[Address!]!'
+ * @param  {[SchemaType]} rawSchemaTypes 	Array of not fully compiled Schema type objects.
+ * @return {String}                			e.g., '[AddressInput!]!', or null if the type cannot be mapped to an input.
+ */
+const _getInputTypeName = (ctx, typeName, rawSchemaTypes) => {
+	const namedType = _getNamedTypeRef(parseTypeReference(typeName)).name
+	const schemaType = rawSchemaTypes.find(x => x.name == namedType) || ctx.concreteGenericTypes[namedType]
+	if (isScalarType(namedType) || !schemaType || schemaType.type == 'SCALAR' || schemaType.type == 'ENUM' || schemaType.type == 'INPUT')
+		return typeName
+	if (DERIVED_INPUT_SOURCE_TYPES.indexOf(schemaType.type) < 0)
+		return null
+
+	const inputType = 
+		rawSchemaTypes.find(x => x.type == 'INPUT' && x.derivedFrom == namedType) || 
+		rawSchemaTypes.find(x => x.type == 'INPUT' && x.name == `${namedType}Input`)
+	return inputType ? _mapNamedType(typeName, () => inputType.name) : null
+}
+
+/**
+ * Adds the fields of the type an input is derived from to that input (e.g., 'input UserInput from User without { password }').
+ * Fields with arguments are skipped as they can only be resolved, and the input's own fields override the derived ones.
+ * 
+ * @param  {Object}       ctx        		Context of the run (see '_createContext').
+ * @param  {SchemaType}   schemaType 		Not fully compiled input derived from a type.
+ * @param  {[SchemaType]} rawSchemaTypes 	Array of not fully compiled Schema type objects.
+ * @param  {[Comments]}   comments			comments[].text, comments[].property.type, comments[].property.name 
+ * @return {SchemaType}                		Not fully compiled input that includes the derived fields.
+ */
+const _getDerivedInput = (ctx, schemaType, rawSchemaTypes, comments) => {
+	const from = _getTypeRef(schemaType)
+	const inputType = Object.assign({}, schemaType, { derivedFrom: null, derivedFields: null })
+	const sourceType = _getType(ctx, schemaType.derivedFrom, rawSchemaTypes, comments, from)
+	if (!sourceType)
+		return inputType
+	if (DERIVED_INPUT_SOURCE_TYPES.indexOf(sourceType.type) < 0)
+		return _reportError(ctx,
+			'INVALID_DERIVATION', 
+			`input ${schemaType.name} cannot be derived from ${sourceType.type} ${sourceType.name}. Inputs can only be derived from types and interfaces.`, 
+			from) || inputType
+
+	const resolvedSourceType = rawSchemaTypes.indexOf(sourceType) >= 0 ? _resolveSchemaType(ctx, sourceType, rawSchemaTypes, comments) : sourceType
+	const { blockProps, droppedFields } = _getInheritedBlockProps(ctx, resolvedSourceType, schemaType.derivedFields, schemaType)
+	const derivedBlockProps = blockProps
+		.filter(prop => !prop.details.params && !schemaType.blockProps.some(p => p.details.name == prop.details.name))
+		.map(prop => {
+			const typeName = _getInputTypeName(ctx, prop.details.result.name, rawSchemaTypes)
+			if (!typeName) {
+				const namedType = _getNamedTypeRef(parseTypeReference(prop.details.result.name)).name
+				return _reportError(ctx,
+					'UNMAPPABLE_FIELD', 
+					`Field '${prop.details.name}' of type ${namedType} cannot be mapped to an input in input ${schemaType.name}. ` + 
+					`Only scalars, enums, inputs and types with a derived input (e.g., 'input ${namedType}Input from ${namedType}') can be mapped. ` + 
+					`Otherwise, exclude the field (e.g., 'without { ${prop.details.name} }').`, 
+					{ path: [schemaType.name, prop.details.name], loc: schemaType.loc })
+			}
+			// Field directives (e.g., '@deprecated') apply to output fields only.
+			const result = Object.assign({}, prop.details.result, { name: typeName, directive: undefined })
+			const details = Object.assign({}, prop.details, { args: null, result, directives: [] })
+			return Object.assign({}, prop, { 
+				details, 
+				value: _getPropertyValue(details), 
+				inheritedFrom: [resolvedSourceType.name, ...(prop.inheritedFrom || [])] 
+			})
+		})
+		.filter(x => x)
+
+	return Object.assign(inputType, { 
+		blockProps: [...derivedBlockProps, ...schemaType.blockProps],
+		droppedFields
+	})
+}
+
+const _inheritingIsAllowed = (obj, subClass) => {
+	if (obj.type === 'TYPE')
+		return subClass.type === 'TYPE' || subClass.type === 'INTERFACE' || subClass.type === 'ABSTRACT'
+	else 
+		return obj.type === subClass.type
+}
+
+const _resolveUsingTrivialMethod = (ctx, obj, rawSchemaTypes, comments) => {
+	if (obj && obj.blockProps)
+		_resolveGenericBlockProperies(ctx, obj.blockProps, rawSchemaTypes, comments, obj.name)
+	if (obj && rawSchemaTypes && obj.implements && obj.implements.length > 0 && !obj.genericType) {
+		const interfaceWithAncestors = _.toArray(_.uniq(_.flatten(_.concat(obj.implements.map(i => _getInterfaceWithAncestors(ctx, i, rawSchemaTypes, _getTypeRef(obj), comments))))))
+		return {
+			type: obj.type,
+			name: obj.name,
+			genericType: obj.genericType,
+			originalBlockProps: obj.blockProps,
+			metadata: obj.metadata,
+			allMetadata: obj.allMetadata,
+			implements: interfaceWithAncestors,
+			inherits: obj.inherits,
+			blockProps: obj.blockProps,
+			fieldSources: obj.fieldSources,
+			droppedFields: obj.droppedFields,
+			loc: obj.loc
+		}
+	}
+	else
+		return obj
+}
+
+const _getInterfaceWithAncestors = (ctx, _interface, schemaObjects, from, comments, visited=[]) => {
+	// Generic interfaces (e.g., 'Collection<User>') are replaced with their concrete type (e.g., 'CollectionUser').
+	_interface = _resolveTypeName(ctx, _interface, schemaObjects, comments, from)
+	if (!_interface) return []
+	if (ctx.interfacesWithAncestors[_interface]) return ctx.interfacesWithAncestors[_interface]
+	if (visited.indexOf(_interface) >= 0) 
+		return _reportError(ctx, 'INHERITANCE_CYCLE', `Interface cycle detected: ${[...visited, _interface].join(' -> ')}.`, from) || []
+	const interfaceObj = schemaObjects.filter(x => x.name == _interface)[0] || ctx.concreteGenericTypes[_interface]
+	if (!interfaceObj) return _reportError(ctx, 'UNKNOWN_INTERFACE', `interface ${_interface} is not defined.`, from) || []
+	if (interfaceObj.type != 'INTERFACE') return _reportError(ctx, 'NOT_AN_INTERFACE', `Schema property ${_interface} is not an interface. It cannot be implemented.`, from) || []
+
+	const interfaceWithAncestors = interfaceObj.implements && interfaceObj.implements.length > 0
+		? _.toArray(_.uniq(_.flatten(_.concat(
 			[_interface],
-			interfaceObj.implements,
-			interfaceObj.implements.map(i => _getInterfaceWithAncestors(i, schemaObjects))))))
+			interfaceObj.implements.filter(i => schemaObjects.some(x => x.name == i && x.type == 'INTERFACE')),
+			interfaceObj.implements.map(i => _getInterfaceWithAncestors(ctx, i, schemaObjects, _getTypeRef(interfaceObj), comments, [...visited, _interface]))))))
 		: [_interface]
 
-	memoizedInterfaceWithAncestors[_interface] = interfaceWithAncestors
+	ctx.interfacesWithAncestors[_interface] = interfaceWithAncestors
 	return interfaceWithAncestors
 }
 
@@ -913,25 +1749,46 @@ const _getInterfaceWithAncestors = (_interface, schemaObjects) => {
  * @param  {[Comments]} comments		comments[].text, comments[].property.type, comments[].property.name 
  * @return {String}		output			Text.
  */
-const _getPropertyComments = (property, comments) => {
+const _getPropertyComments = (property, comments) => _getPropertyCommentsBit(property, comments).text || ''
+
+const _getPropertyCommentsBit = (property, comments) => {
 	const { type, name } = property || {}
 	if (!type || !name)
-		return ''
-	return ((comments || []).filter(c => c.property.type == type && c.property.name == name)[0] || {}).text || ''
+		return {}
+	return (comments || []).filter(c => c.property.type == type && c.property.name == name)[0] || {}
 }
 
 const _addComments = (obj, comments) => {
 	obj.comments = _getPropertyComments(obj, comments)
+	obj.commentPositions = _getPropertyCommentsBit(obj, comments).positions
 	return obj
 }
 
-const _parseSchemaObjToString = (comments, type, name, _implements, blockProps, extend=false, directive) =>
-	[
-		`${comments && comments != '' ? `\n${comments}` : ''}`,
-		`${extend ? 'extend ' : ''}${type.toLowerCase()} ${name.replace('!', '')}${_implements && _implements.length > 0 ? ` implements ${_implements.join(', ')}` : ''} ${blockProps.some(x => x) ? `${directive ? ` ${directive} ` : ''}{`: ''} `,
-		blockProps.map(prop => `    ${prop.comments != '' ? `${prop.comments}\n    ` : ''}${prop.value}`).join('\n'),
-		blockProps.some(x => x) ? '}': ''
-	].filter(x => x).join('\n')
+/**
+ * Prints a schema object into chunks of standard GraphQL schema. Each chunk keeps track of the position in the enriched
+ * schema it comes from so that a source map can be created.
+ *
+ * @param  {SchemaType} schemaObj 	Schema object (e.g., { type: 'TYPE', name: 'User', blockProps: [...], loc: {...}, ... }).
+ * @return {[Chunk]}    output      chunks[].value, chunks[].position (e.g., { line: 2, column: 1 }), chunks[].positions
+ *                                  (optional position of each line of the chunk's value), chunks[].source (file the 
+ *                                  chunk comes from if the schema was loaded from multiple files).
+ */
+const _getSchemaObjChunks = ({ comments, commentPositions, type, name, implements:_implements, blockProps, extend=false, directive, members, loc }) => {
+	const hasBlock = blockProps.some(x => x)
+	const start = loc ? loc.start : null
+	const source = loc ? loc.source : undefined
+	return [
+		{ value: `${comments && comments != '' ? `\n${comments}` : ''}`, position: start, positions: [null, ...(commentPositions || [])], source },
+		{ value: `${extend ? 'extend ' : ''}${type.toLowerCase()} ${name.replace('!', '')}${_implements && _implements.length > 0 ? ` implements ${_implements.join(', ')}` : ''}${!hasBlock && directive ? ` ${directive}` : ''}${members ? ` = ${members.join(' | ')}` : ''} ${hasBlock ? `${directive ? ` ${directive} ` : ''}{`: ''} `, position: start, source },
+		...blockProps.map(prop => ({ 
+			value: `    ${prop.comments != '' ? `${prop.comments}\n    ` : ''}${prop.value}`, 
+			position: prop.details && prop.details.loc ? prop.details.loc.start : null,
+			positions: prop.comments != '' ? prop.commentPositions : null,
+			source: prop.details && prop.details.loc ? prop.details.loc.source : undefined
+		})),
+		{ value: hasBlock ? '}': '', position: loc ? { line: loc.end.line, column: loc.end.column - 1 } : null, source }
+	].filter(x => x.value)
+}
 
 /**
  * Tests if the type is a generic type based on the value of genericLetter
@@ -940,118 +1797,29 @@ const _parseSchemaObjToString = (comments, type, name, _implements, blockProps,
  * @param  {String} genericLetter e.g. 'T', 'T,U'
  * @return {Boolean}              e.g. if type equals 'Paged<T>' or '[T]' and genericLetter equals 'T' then true.
  */
-const SANITIZE_GEN_TYPE_REGEX = /^\[|\s|\](\s*)(!*)(\s*)$|!/g
 const isTypeGeneric = (type, genericLetter) => {
-	const sanitizedType = type ? type.replace(SANITIZE_GEN_TYPE_REGEX, '') : type
-	const sanitizedgenericLetter = genericLetter ? genericLetter.replace(SANITIZE_GEN_TYPE_REGEX, '') : genericLetter
-	if (!sanitizedType || !sanitizedgenericLetter)
+	const genericLetters = (genericLetter || '').split(',').map(x => x.trim()).filter(x => x)
+	if (!type || !type.trim() || genericLetters.length == 0)
 		return false
-	else if (sanitizedType == sanitizedgenericLetter)
-		return true
-	else if (sanitizedType.indexOf('<') > 0 && sanitizedType.indexOf('>') > 0) {
-		const genericLetters = sanitizedgenericLetter.split(',')
-		return (sanitizedType.match(/<(.*?)>/) || [null, ''])[1].split(',').some(x => genericLetters.some(y => y == x.trim()))
-	}
-	else
-		return sanitizedgenericLetter.split(',').some(x => x.trim() == sanitizedType)
-}
-
-
-/**
- * [description]
- * @param  {String}		originName                 			e.g., 'Paged<Question>'. Original name from the non-compiled GraphQL schema.
- * @param  {Noolean}	isGen                      			Determines whether that type is generic or not.
- * @param  {String}		name                       			e.g., 'PagedQuestion'. Name of the new type once it has been compiled.
- * @param  {[Object]}	schemaBreakDown						Array of schema AST objects. This contains all the compiled types so far.
- * @param  {Object}		memoizedNewSchemaObjectFromGeneric	Memoized 'newGenericType' to speed up this function (e.g., { 'PagedQuestion': { obj:{...}, stringObj:'...' } })
- * 
- * @return {Object}		newGenericType
- * @return {Object}		newGenericType.obj					New generic type object's AST. 
- * @return {String}		newGenericType.stringObj			New generic type schema string definition (e.g., 'type PagedQuestion {\n data: [Question!]!\n cursor: ID\n }')
- */
-// const _createNewSchemaObjectFromGeneric = ({ originName, isGen, name }, schemaBreakDown, memoizedNewSchemaObjectFromGeneric) => {
-// 	if (!memoizedNewSchemaObjectFromGeneric)
-// 		throw new Error('Missing required argument. \'memoizedNewSchemaObjectFromGeneric\' is required.')
-// 	if (isGen && memoizedNewSchemaObjectFromGeneric[name])
-// 		return memoizedNewSchemaObjectFromGeneric[name]
-// 	else if (isGen) {
-// 		const genObjName = chain(originName.split('<')).next(parts => `${parts[0]}<`).val()
-// 		const concreteType = (originName.match(/<(.*?)>/) || [null, null])[1]
-// 		if (!concreteType) throw new Error(`Schema error: Cannot find generic type in object ${originName}`)
-// 		const baseGenObj = schemaBreakDown.find(x => x.name.indexOf(genObjName) == 0)
-// 		if (!baseGenObj) throw new Error(`Schema error: Cannot find any definition for generic type starting with ${genObjName}`)
-// 		if (!baseGenObj.genericType) throw new Error(`Schema error: Schema object ${baseGenObj.name} is not generic!`)
-
-// 		const blockProps = baseGenObj.blockProps.map(prop => {
-// 			let p = prop
-// 			if (isTypeGeneric(prop.details.result.name, baseGenObj.genericType)) {
-// 				let details = {
-// 					name: prop.details.name,
-// 					params: prop.params,
-// 					result: {
-// 						originName: prop.details.originName,
-// 						isGen: prop.details.isGen,
-// 						name: _replaceGenericWithType(prop.details.result.name, baseGenObj.genericType.split(','), concreteType)
-// 					}
-// 				}
-// 				if (prop.details.result.dependsOnParent) {
-// 					const propTypeIsRequired = prop.details.result.name.match(/!$/)
-// 					// e.g. [Paged<T>]
-// 					const propTypeName = propTypeIsRequired ? prop.details.result.name.replace(/!$/,'') : prop.details.result.name
-// 					const propTypeIsArray = propTypeName.match(/^\[.*\]$/)
-// 					// e.g. [Paged<Product>]
-// 					const originalConcretePropType = _replaceGenericWithType(propTypeName, prop.details.result.genericParentTypes, concreteType)
-// 					// e.g. Paged<Product>
-// 					const concretePropType = propTypeIsArray ? originalConcretePropType.replace(/^\[|\]$/g,'') : originalConcretePropType
-// 					const concreteGenProp = _getTypeDetails(concretePropType, prop.details.result.metadata)
-// 					// e.g. PagedProduct
-// 					const concreteGenPropName = _createNewSchemaObjectFromGeneric(concreteGenProp, schemaBreakDown, memoizedNewSchemaObjectFromGeneric).obj.name
-// 					// e.g. [PagedProduct]
-// 					let originalConcretePropTypeName = propTypeIsArray ? `[${concreteGenPropName}]` : concreteGenPropName
-// 					// e.g. [PagedProduct]!
-// 					originalConcretePropTypeName = originalConcretePropTypeName + (propTypeIsRequired ? '!' : '')
-// 					// e.g. [PagedProduct]! @isAuthenticated
-// 					originalConcretePropTypeName = prop.details.result.directive ? `${originalConcretePropTypeName} ${prop.details.result.directive}` : originalConcretePropTypeName
-// 					details.result = {
-// 						originName: prop.details.result.directive ? `${prop.details.result.name} ${prop.details.result.directive}` : prop.details.result.name,
-// 						isGen: true,
-// 						name: originalConcretePropTypeName
-// 					}
-// 				}
-
-// 				p = {
-// 					comments: prop.comments,
-// 					details: details,
-// 					value: _getPropertyValue(details)
-// 				}
-// 			}
-
-// 			return p
-// 		})
-
-// 		const newSchemaObjStr = _parseSchemaObjToString(baseGenObj.comments, baseGenObj.type, name, baseGenObj.implements, blockProps)
-// 		const result = {
-// 			obj: {
-// 				comments: baseGenObj.comments,
-// 				type: baseGenObj.type,
-// 				name,
-// 				implements: baseGenObj.implements,
-// 				blockProps: blockProps,
-// 				genericType: null
-// 			},
-// 			stringObj: newSchemaObjStr
-// 		}
-// 		memoizedNewSchemaObjectFromGeneric[name] = result
-// 		return result
-// 	}
-// 	else return { obj: null, stringObj: null }
-// }
+	// e.g. 'T' is used in '[T!]', 'Paged<T>' or 'Paged<Edge<T>>', but not in 'Paged<User>'
+	const usesGenericLetters = typeRef => 
+		typeRef.kind == 'KEYS' ? false :
+		typeRef.kind != 'NAMED' ? usesGenericLetters(typeRef.ofType) :
+		typeRef.args ? typeRef.args.some(usesGenericLetters) : genericLetters.indexOf(typeRef.name) >= 0
+	return usesGenericLetters(parseTypeReference(type))
+}
+
+// Kinds of the schema objects, in the order they are transpiled.
+const SCHEMA_OBJECT_KINDS = ['INTERFACE', 'ABSTRACT', 'TYPE', 'INPUT', 'ENUM', 'SCALAR', 'UNION']
 
 /**
  * Breaks down a schema into its bits and pieces.
- * @param  {String}  graphQlSchema
+ * @param  {Object}  ctx 				Context of the run (see '_createContext').
+ * @param  {Array}   definitions		Definitions returned by the parser.
  * @param  {Array}   metadata
- * @param  {Boolean} includeNewGenTypes
+ * @param  {Object}  options 			Transpiler's options (see 'transpile').
+ * @param  {[SchemaType]} knownTypes 	Default []. Resolved types declared outside 'definitions' (e.g., the types that 
+ *                                  	are not affected by an incremental update).
  * @return {String}  result.type 		e.g. 'TYPE', 'INTERFACE'
  * @return {Boolean} result.raw
  * @return {Boolean} result.extend
@@ -1063,107 +1831,1130 @@ const isTypeGeneric = (type, genericLetter) => {
  * @return {String}  result.implements
  * @return {String}  result.comments
  */
-const getSchemaParts = (graphQlSchema, metadata) => {
+const getSchemaParts = (ctx, definitions, metadata, options, knownTypes=[]) => {
 	metadata = metadata || []
-	// 1. Extract all the comments
-	const comments = _getCommentsBits(graphQlSchema)
-	// 2. Extract all the blocks stripped out of all the comments. 
-	const schemaBits = _getSchemaBits(graphQlSchema, metadata)
-	// 3. Classify the blocks in AST objects
-	const rawSchemaTypes = [_getInterfaces, _getAbstracts, _getTypes, _getInputs, _getEnums, _getScalars, _getUnions].reduce((acc, getObjects) => {
-		// 3.1. Creates the type
-		const schemaTypes = getObjects(schemaBits,metadata) || []
-		acc.push(...schemaTypes)
+	const { abstractsAsInterfaces, implementInheritedInterfaces } = options || {}
+	// 0. Emit the abstract types as interfaces (e.g., 'abstract Node { ... }' -> 'interface Node { ... }').
+	const abstractNames = abstractsAsInterfaces ? definitions.filter(def => def.kind == 'ABSTRACT').map(getDefinitionName) : []
+	if (abstractsAsInterfaces)
+		definitions = definitions.map(def => def.kind == 'ABSTRACT' ? Object.assign({}, def, { kind: 'INTERFACE' }) : def)
+	// 1. Extract all the comments and fill in the default type arguments of generic types.
+	const comments = _getCommentsBits(definitions)
+	_addDefaultTypeArguments(definitions)
+	// 1.1. Memoize the aliases so that nested generic types are named consistently (e.g., 'Edge<User>' in 'Paged<Edge<User>>').
+	_getAllAliases(ctx, metadata)
+	// 2. Classify the definitions in AST objects
+	const schemaObjects = SCHEMA_OBJECT_KINDS.reduce((acc, kind) => {
+		acc.push(..._getSchemaObject(ctx, definitions, kind, metadata))
 		return acc
 	},[])
-
-	// 4. Resolve all generic params names and memoize them.
-	const rawParamGenericTypes = Object.keys(memoizedGenericSchemaObjects)
-		.map(key => memoizedGenericSchemaObjects[key])
-		.filter(({ paramName, isGen }) => paramName && isGen)
-
-	rawParamGenericTypes.map(({ originName, name }) => 
-		_resolveGenericType({ concreteGenericTypeName:originName, rawSchemaTypes, comments, aliasName:name }))
-
-	// 5. Resolve all types
+	// 2.1. The types that inherit from an abstract type emitted as an interface also implement it. So do the types that
+	// inherit from any interface if 'implementInheritedInterfaces' is true.
+	const rawSchemaTypes = _addInheritedInterfaces(
+		schemaObjects, 
+		superClass => implementInheritedInterfaces || abstractNames.indexOf(superClass.name) >= 0, 
+		implementInheritedInterfaces)
+
+	// 3. Resolve all generic params names and memoize them.
+	const rawParamGenericTypes = Object.keys(ctx.genericSchemaObjects)
+		.map(key => ctx.genericSchemaObjects[key])
+		.filter(({ paramName, isGen, dependsOnParent }) => paramName && isGen && !dependsOnParent)
+
+	rawParamGenericTypes.map(({ originName, from }) => 
+		_resolveGenericType(ctx, { concreteGenericTypeName:originName, rawSchemaTypes, comments, aliasName:_getAliasName(ctx, _getGenericTypeName(originName), metadata), from }))
+
+	// 4. Resolve all types
 	const resolvedTypes = rawSchemaTypes.map(schemaType => {
-		const resolvedSchemaType = _resolveSchemaType(schemaType, rawSchemaTypes, comments)
+		const resolvedSchemaType = _resolveSchemaType(ctx, schemaType, rawSchemaTypes, comments)
 		return resolvedSchemaType
 	})
 
-	// 6. Include the generic types that were resolved as a side-effect of resolving the other types in step #4.
-	const resolvedGenericTypes = Object.keys(_memoizedConcreteGenericTypes).map(key => _memoizedConcreteGenericTypes[key])
+	// 5. Include the generic types that were resolved as a side-effect of resolving the other types in step #3.
+	// 5.1. Remove the generic types named after a declared type (e.g., 'Paged<User>' and 'type PagedUser').
+	const resolvedGenericTypes = _removeDeclaredGenericTypes(ctx, [...resolvedTypes, ...knownTypes], Object.keys(ctx.concreteGenericTypes).map(key => ctx.concreteGenericTypes[key]))
 	const allTypes = [...resolvedTypes,...resolvedGenericTypes]
 
-	// 7. Include directives.
+	// 6. Include directives and schema definitions.
 	const directives = (metadata || []).filter(m => m.directive)
 	if (directives.length > 0) {
 		allTypes.push(...directives.map(d => ({
 			type: 'DIRECTIVE',
 			name: d.name,
-			raw: (d.body || '').replace(/░/g, '\n'),
+			raw: d.body || '',
 			extend: false,
 			metadata: null,
 			genericType: null,
 			blockProps: [],
 			inherits: null,
 			implements: null,
-			comments: undefined
+			comments: undefined,
+			loc: d.loc
 		})))
 	}
 
+	allTypes.push(...definitions.filter(def => def.kind == 'SCHEMA').map(def => ({
+		type: 'SCHEMA',
+		name: null,
+		raw: def.raw,
+		extend: def.extend,
+		metadata: null,
+		genericType: null,
+		blockProps: [],
+		inherits: null,
+		implements: null,
+		comments: undefined,
+		loc: def.loc
+	})))
+
 	return allTypes
 }
 
-const resetMemory = () => {
-	_s = {}
-	_memoizedConcreteGenericTypes = null
-	_memoizedConcreteGenericTypes = {}
-	memoizedGenericSchemaObjects = null
-	memoizedGenericSchemaObjects = {}
-	memoizedExtendedObject = null
-	memoizedExtendedObject = {}
-	memoizedInterfaceWithAncestors = null
-	memoizedInterfaceWithAncestors = {}
-	memoizedGenericNameAliases = null
-	memoizedGenericNameAliases = {}
-	memoizedAliases = null
-	return 1
+/**
+ * Gets the interfaces a schema type inherits from, directly or through its super classes (e.g., 'type Student inherits 
+ * Person' where 'Person' is an interface inheriting from the 'Node' interface -> ['Person', 'Node']).
+ * 
+ * @param  {SchemaType}   schemaType 			Not fully compiled Schema type object.
+ * @param  {[SchemaType]} rawSchemaTypes 		Array of not fully compiled Schema type objects.
+ * @param  {Function}     isImplemented 		(superClass: SchemaType) => Boolean. Determines whether an inherited 
+ *                                        		interface is also implemented.
+ * @param  {Boolean}      inheritsImplements 	If true, the interfaces implemented by the super classes are included too.
+ * @param  {[String]}     visited 				Names already visited (protects against inheritance cycles).
+ * @return {[String]}                			e.g. ['Person', 'Node']
+ */
+const _getInheritedInterfaces = (schemaType, rawSchemaTypes, isImplemented, inheritsImplements, visited=[]) => _.uniq(_.flatten(
+	(schemaType.inherits || []).map(name => {
+		const superClass = visited.indexOf(name) < 0 ? rawSchemaTypes.find(x => x.name == name) : null
+		if (!superClass)
+			return []
+		const ancestors = _getInheritedInterfaces(superClass, rawSchemaTypes, isImplemented, inheritsImplements, [...visited, name])
+		const implemented = inheritsImplements ? (superClass.implements || []) : []
+		return superClass.type == 'INTERFACE' && isImplemented(superClass) 
+			? [name, ...implemented, ...ancestors]
+			: [...implemented, ...ancestors]
+	})))
+
+/**
+ * Adds the interfaces a schema type inherits from to the interfaces it implements (e.g., 'type Student inherits Person'
+ * also implements 'Person'), so that the transpiled schema can be queried polymorphically.
+ * 
+ * @param  {[SchemaType]} rawSchemaTypes 		Array of not fully compiled Schema type objects.
+ * @param  {Function}     isImplemented 		(superClass: SchemaType) => Boolean. Determines whether an inherited 
+ *                                        		interface is also implemented.
+ * @param  {Boolean}      inheritsImplements 	If true, the interfaces implemented by the super classes are implemented too.
+ * @return {[SchemaType]}                		Array of not fully compiled Schema type objects.
+ */
+const _addInheritedInterfaces = (rawSchemaTypes, isImplemented, inheritsImplements) => rawSchemaTypes.map(schemaType => {
+	if (!schemaType.inherits || (schemaType.type != 'TYPE' && schemaType.type != 'INTERFACE'))
+		return schemaType
+	const interfaces = _getInheritedInterfaces(schemaType, rawSchemaTypes, isImplemented, inheritsImplements, [schemaType.name])
+		.filter(name => name != schemaType.name)
+	return interfaces.length > 0
+		? Object.assign({}, schemaType, { implements: _.uniq([...(schemaType.implements || []), ...interfaces]) })
+		: schemaType
+})
+
+const _joinChunks = (chunks, separator) => _.flatten(chunks.map((chunk, idx) => idx == 0 ? [chunk] : [{ value: separator }, chunk]))
+
+/**
+ * Prints all the schema objects into chunks of standard GraphQL schema. Concatenating all the chunks' values gives the
+ * transpiled schema.
+ *
+ * @param  {[SchemaType]} ASTs 	Schema objects returned by 'getSchemaParts'.
+ * @return {[Chunk]}      output 	chunks[].value, chunks[].position, chunks[].verbatim (true if the value is copied as is 
+ *                              	from the enriched schema).
+ */
+const _getASTsChunks = (ASTs=[]) => {
+	const part_01 = _joinChunks(_.flatten(ASTs
+		.filter(x => !x.genericType && x.type != 'ABSTRACT' && x.type != 'DIRECTIVE' && x.type != 'SCHEMA')
+		.map(obj => _getSchemaObjChunks(obj))), '\n')
+
+	const getRawChunk = x => ({ value: x.raw, position: x.loc ? x.loc.start : null, source: x.loc ? x.loc.source : undefined, verbatim: true })
+	const directives = _joinChunks(ASTs.filter(x => x.type == 'DIRECTIVE' && x.raw).map(getRawChunk), '\n')
+	const schemaDefinitions = _.flatten(ASTs.filter(x => x.type == 'SCHEMA').map(x => [{ value: '\n' }, getRawChunk(x)]))
+
+	return [...directives, { value: '\n' }, ...part_01, ...schemaDefinitions]
+}
+
+const _buildASTs = ASTs => _getASTsChunks(ASTs).map(x => x.value).join('')
+
+/**
+ * Maps each line of each chunk back to its position in the enriched schema.
+ *
+ * @param  {[Chunk]}  chunks 	Chunks returned by '_getASTsChunks'.
+ * @param  {[String]} sources 	Files the schema was loaded from (empty if the schema is a single string).
+ * @return {[Object]} output 	Source map segments (see 'createSourceMap' in './sourcemap').
+ */
+const _getSourceMapSegments = (chunks, sources) => {
+	const segments = []
+	let line = 0
+	let column = 0
+	chunks.forEach(({ value, position, positions, source, verbatim }) => {
+		const lines = value.split('\n')
+		if (position)
+			lines.forEach((l, idx) => {
+				const indent = l.match(/^\s*/)[0].length
+				if (indent == l.length)
+					return
+				const original = 
+					positions && positions[idx] ? positions[idx] :
+					verbatim && idx > 0 ? { line: position.line + idx, column: indent + 1 } : position
+				segments.push({
+					generatedLine: line + idx,
+					generatedColumn: (idx == 0 ? column : 0) + indent,
+					source: Math.max(0, sources.indexOf(source)),
+					originalLine: original.line - 1,
+					originalColumn: original.column - 1
+				})
+			})
+		line += lines.length - 1
+		column = lines.length > 1 ? _.last(lines).length : column + value.length
+	})
+	return segments
+}
+
+/**
+ * Parses an enriched GraphQL schema, which is either a string or the files returned by 'loadSchema'.
+ * 
+ * @param  {String|Object} graphQlSchema 	e.g. 'type User { ... }' or { files: [{ file: 'user.graphql', schema: 'type User { ... }' }] }
+ * @param  {Object}        options 			Parser's options (see 'parse' in './parser').
+ * @return {Array}                 			Definitions of all the files.
+ */
+const _parseSchema = (graphQlSchema, options) => graphQlSchema && graphQlSchema.files
+	? _.flatten(graphQlSchema.files.map(({ file, schema }) => parse(schema, Object.assign({ file }, options))))
+	: parse(graphQlSchema, options)
+
+/**
+ * Gets the schema objects of an enriched GraphQL schema.
+ * 
+ * @param  {String|Object} graphQlSchema 	Enriched GraphQL schema (either a string or the output of 'loadSchema').
+ * @param  {[Error]} errors        	If defined, the errors found in the schema are pushed into this array instead of 
+ *                                 	being thrown, and the faulty parts of the schema are ignored.
+ * @param  {Object}  options 		Transpiler's options (see 'transpile').
+ * @return {[SchemaType]}          	Schema objects.
+ */
+const _getSchemaAST = (graphQlSchema, errors, options) => {
+	try {
+		const ctx = _createContext(options, errors)
+		const definitions = _parseSchema(graphQlSchema, errors ? { onError: err => errors.push(err) } : undefined)
+		const metadata = extractGraphMetadata(definitions)
+		return getSchemaParts(ctx, definitions, metadata, options)
+	}
+	catch(err) {
+		if (!errors)
+			throw err
+		errors.push(err)
+		return []
+	}
+}
+
+const getSchemaAST = (graphQlSchema, options) => _getSchemaAST(graphQlSchema, null, options)
+
+/**
+ * Finds all the problems in an enriched GraphQL schema in one pass.
+ * 
+ * @param  {String|Object} graphQlSchema 	Enriched GraphQL schema (either a string or the output of 'loadSchema').
+ * @param  {Object}        options 			Transpiler's options (see 'transpile').
+ * @return {[Object]} output 			Empty if the schema is valid. Otherwise, [{ code: String, message: String, 
+ *                                   	severity: String, path: [String], loc: Object }]
+ */
+const validateSchema = (graphQlSchema, options) => {
+	const errors = []
+	const schemaObjects = _getSchemaAST(graphQlSchema, errors, options)
+	errors.push(..._getUnknownTypeErrors(schemaObjects))
+	return getDiagnostics(errors)
+}
+
+/**
+ * Finds the fields and arguments whose type is neither a built-in scalar, a type defined in the schema, nor a parameter
+ * of the generic type that declares them. The generic types they use (e.g., 'Paged<User>') are already checked when 
+ * they are resolved.
+ * 
+ * @param  {[SchemaType]} schemaObjects 	Resolved schema objects.
+ * @return {[Error]}               		e.g. [{ code: 'UNKNOWN_TYPE', path: ['Query', 'user'], loc: { ... } }]
+ */
+const _getUnknownTypeErrors = schemaObjects => {
+	const typeNames = schemaObjects.map(({ name }) => name)
+	const isKnownType = (type, schemaType) => chain(_getNamedTypeRef(parseTypeReference(type)))
+		.next(({ name, args }) => (args && args.length > 0)
+			|| isScalarType(name) 
+			|| typeNames.indexOf(name) >= 0 
+			|| (schemaType.genericType ? schemaType.genericType.split(',') : []).indexOf(name) >= 0)
+		.val()
+	const unknownType = (type, path, loc) => createSchemaError({ 
+		code: 'UNKNOWN_TYPE', 
+		message: `Type '${_getNamedTypeRef(parseTypeReference(type)).name}' cannot be found in the schema.`, 
+		path, 
+		loc })
+
+	// Only the fields declared by a type are checked. The inherited ones are checked in their own type.
+	const getOwnFields = schemaType => schemaType.type == 'ENUM' 
+		? [] 
+		: (schemaType.blockProps || []).filter(({ declaredIn }) => !declaredIn || declaredIn == schemaType.name)
+	return _.flatten(schemaObjects.map(schemaType => _.flatten(getOwnFields(schemaType).map(({ details }) => [
+		...(isKnownType(details.result.originName, schemaType) ? [] : [unknownType(details.result.originName, [schemaType.name, details.name], details.loc)]),
+		...(details.args || [])
+			.filter(arg => !isKnownType(arg.type, schemaType))
+			.map(arg => unknownType(arg.type, [schemaType.name, details.name, arg.name], arg.loc))
+	]))))
+}
+
+/**
+ * Creates the source map of a transpiled schema.
+ * 
+ * @param  {[Chunk]}        chunks 			Chunks returned by '_getASTsChunks'.
+ * @param  {String|Object}  graphQlSchema 	Enriched GraphQL schema (either a string or the output of 'loadSchema').
+ * @param  {Boolean|Object} sourceMap 		Value of the 'sourceMap' option (see 'transpile').
+ * @return {Object}         				Source map (version 3).
+ */
+const _getSourceMap = (chunks, graphQlSchema, sourceMap) => {
+	const { source='schema.graphql', file } = sourceMap === true ? {} : sourceMap
+	const files = graphQlSchema && graphQlSchema.files
+	return createSourceMap({ 
+		file, 
+		sources: files ? files.map(f => f.file) : [source], 
+		sourcesContent: files ? files.map(f => f.content) : [graphQlSchema], 
+		segments: _getSourceMapSegments(chunks, files ? files.map(f => f.file) : []) 
+	})
+}
+
+/**
+ * Transpiles an enriched GraphQL schema into a standard GraphQL schema.
+ * 
+ * @param  {String|Object} graphQlSchema 	Enriched GraphQL schema (either a string or the output of 'loadSchema').
+ * @param  {Object}  options 				
+ * @param  {Boolean} options.sourceMap 		Default false. If truthy, a source map is also returned. It can also be an 
+ *                                      	object (e.g., { source: 'schema.graphql', file: 'schema.out.graphql' }). If the
+ *                                      	schema was loaded from multiple files, the sources are those files.
+ * @param  {Boolean} options.collectErrors 	Default false. If true, errors are not thrown. Instead, they are all returned
+ *                                         	(see 'validateSchema') and the faulty parts of the schema are ignored.
+ * @param  {Boolean} options.abstractsAsInterfaces 	Default false. If true, 'abstract' types are emitted as interfaces
+ *                                                 	that the types inheriting from them implement.
+ * @param  {Boolean} options.implementInheritedInterfaces 	Default false. If true, the types and interfaces inheriting 
+ *                                                        	from interfaces implement them, as well as their ancestors 
+ *                                                        	and the interfaces implemented by their super classes.
+ * @param  {String}  options.inheritanceConflicts 	Default 'first-wins'. Determines what happens when several super 
+ *                                                	classes define the same field with different types: 'error' reports
+ *                                                	an 'INHERITANCE_CONFLICT' error, while 'first-wins' (resp. 
+ *                                                	'last-wins') keeps the field of the first (resp. last) super class.
+ * @param  {Object}  options.metadataMerge 			Default {}. Policy used to merge the metadata inherited by types and
+ *                                         			overridden fields per metadata name (e.g., { auth: 'append' }). Valid 
+ *                                         			policies are 'override', 'append' and 'deep-merge'.
+ * @param  {Object}  options.genericNaming 			Default {}. Naming strategy of the generic types without '@alias'
+ *                                         			(e.g., { prefix: 'Gen', suffix: '', separator: '_' } names 
+ *                                         			'Paged<User>' 'GenPaged_User'). 'format' (or 'genericNaming' itself) 
+ *                                         			can also be a function (name: String, argNames: [String], 
+ *                                         			genName: String) => String (e.g., ('Paged', ['User'], 'Paged<User>')).
+ * @param  {Boolean} options.allowAliasEval 		Default false. If true, '@alias' can contain JavaScript functions 
+ *                                          		(e.g., '@alias((T) => T + \'s\')') that are evaluated with 'eval'. 
+ *                                          		Otherwise, use templates (e.g., '@alias("{T}s")').
+ * @return {String}  output 				Standard GraphQL schema. If 'options.sourceMap' or 'options.collectErrors' is 
+ *                                      	truthy, then the output is { sdl: String, map: Object, errors: [Object] } where 
+ *                                      	'map' is a source map (version 3).
+ */
+const transpile = (graphQlSchema, options) => {
+	const { sourceMap, collectErrors } = options || {}
+	const errors = collectErrors ? [] : null
+	const ASTs = _getSchemaAST(graphQlSchema, errors, options)
+	if (!sourceMap && !collectErrors)
+		return _buildASTs(ASTs)
+
+	const chunks = _getASTsChunks(ASTs)
+	const output = { sdl: chunks.map(x => x.value).join('') }
+	if (sourceMap)
+		output.map = _getSourceMap(chunks, graphQlSchema, sourceMap)
+	if (collectErrors)
+		output.errors = getDiagnostics(errors)
+	return output
+}
+
+/**
+ * Creates a '__resolveType' function that picks the concrete type of an object among the types implementing an interface.
+ * The object's '__typename' is used if defined. Otherwise, the type that has most of the object's fields wins (the one 
+ * with the fewest fields if several types match equally).
+ * 
+ * @param  {[SchemaType]} concreteTypes 	Resolved types implementing the interface.
+ * @return {Function}                   	(obj: Object) => String. Returns null if no type matches.
+ */
+const _createResolveType = concreteTypes => obj => {
+	if (!obj)
+		return null
+	if (obj.__typename && concreteTypes.some(t => t.name == obj.__typename))
+		return obj.__typename
+	const candidates = concreteTypes.map(t => {
+		const fieldNames = t.blockProps.map(prop => prop.details.name)
+		return { name: t.name, matches: fieldNames.filter(f => obj[f] !== undefined).length, size: fieldNames.length }
+	}).filter(c => c.matches > 0)
+	const best = _.sortBy(candidates, c => -c.matches, c => c.size)[0]
+	return best ? best.name : null
+}
+
+/**
+ * Gets the '__resolveType' resolvers of all the interfaces of an enriched GraphQL schema, so that they can be merged 
+ * into the schema's resolvers (e.g., { Node: { __resolveType: obj => 'User' } }).
+ * 
+ * @param  {String|Object} graphQlSchema 	Enriched GraphQL schema (either a string or the output of 'loadSchema').
+ * @param  {Object}        options 			Transpiler's options (see 'transpile').
+ * @return {Object}                			e.g., { Node: { __resolveType: Function } }
+ */
+const getResolveTypes = (graphQlSchema, options) => _getResolveTypes(_getSchemaAST(graphQlSchema, null, options))
+
+const _getResolveTypes = schemaTypes => {
+	const ASTs = schemaTypes.filter(x => !x.genericType)
+	const concreteTypes = ASTs.filter(x => x.type == 'TYPE')
+	return ASTs.filter(x => x.type == 'INTERFACE').reduce((acc, { name }) => {
+		acc[name] = { __resolveType: _createResolveType(concreteTypes.filter(t => (t.implements || []).indexOf(name) >= 0)) }
+		return acc
+	}, {})
+}
+
+/**
+ * Parses the schema types into a graphql.js document. graphql.js is only required here (and not when this module is
+ * loaded) so that the transpiler does not depend on it. The interfaces are separated with commas (i.e. 
+ * 'implements A, B'), which graphql.js 15 only supports with the 'allowLegacySDLImplementsInterfaces' option.
+ * 
+ * @param  {[SchemaType]} ASTs 	Schema types.
+ * @return {DocumentNode}
+ */
+const _getDocument = ASTs => {
+	const { parse: parseDocument } = require('graphql')
+	return parseDocument(_buildASTs(ASTs), { allowLegacySDLImplementsInterfaces: true })
+}
+
+/**
+ * Transpiles an enriched GraphQL schema into a graphql.js document.
+ * 
+ * @param  {String|Object} graphQlSchema 	Enriched GraphQL schema (either a string or the output of 'loadSchema').
+ * @param  {Object}        options 			Transpiler's options (see 'transpile'). 'sourceMap' and 'collectErrors' are 
+ *                                 			ignored.
+ * @return {DocumentNode}  output 			graphql.js document of the standard GraphQL schema.
+ */
+const transpileToDocument = (graphQlSchema, options) => _getDocument(_getSchemaAST(graphQlSchema, null, options))
+
+/**
+ * Gets the 'extensions' of a schema type or field, i.e. its metadata per name.
+ * 
+ * @param  {[Object]} metadata 	e.g. [{ name: 'auth', body: '(roles: ["admin"])', ... }]
+ * @return {Object}            	e.g. { metadata: { auth: { name: 'auth', body: '(roles: ["admin"])', args: { roles: ['admin'] } } } }
+ */
+const _getMetadataExtensions = metadata => ({
+	metadata: metadata.reduce((acc, m) => {
+		acc[m.name] = { name: m.name, body: m.body, args: m.args || parseArgumentValues(m.body) }
+		return acc
+	}, {})
+})
+
+const _addExtensions = (obj, extensions) => {
+	obj.extensions = _.merge({}, obj.extensions, extensions)
+}
+
+/**
+ * Adds the metadata of the schema types and of their fields to the 'extensions' of the graphql.js types and fields. 
+ * WARNING: This mutates the graphql.js schema.
+ * 
+ * @param  {GraphQLSchema} schema 		graphql.js schema built from the schema types.
+ * @param  {[SchemaType]}  schemaTypes 	Schema types.
+ */
+const _addMetadataExtensions = (schema, schemaTypes) => schemaTypes.filter(_isPrintedType).forEach(schemaType => {
+	const type = schema.getType(schemaType.name)
+	if (!type)
+		return
+	const metadata = _getAllMetadata(schemaType)
+	if (metadata.length > 0)
+		_addExtensions(type, _getMetadataExtensions(metadata))
+	const fields = type.getFields ? type.getFields() : {}
+	;(schemaType.blockProps || []).filter(prop => _getAllMetadata(prop.details).length > 0 && fields[prop.details.name]).forEach(prop => 
+		_addExtensions(fields[prop.details.name], _getMetadataExtensions(_getAllMetadata(prop.details))))
+})
+
+/**
+ * Adds resolvers to a graphql.js schema (e.g., { Query: { posts: () => [] }, Node: { __resolveType: obj => 'Post' } }).
+ * WARNING: This mutates the graphql.js schema.
+ * 
+ * @param  {GraphQLSchema} schema 		graphql.js schema.
+ * @param  {Object}        resolvers 	Resolvers per type name. A field resolver is either a function or an object with
+ *                                   	'resolve' and/or 'subscribe' functions.
+ */
+const _addResolvers = (schema, resolvers) => Object.keys(resolvers).forEach(typeName => {
+	const { GraphQLObjectType, GraphQLInterfaceType, GraphQLUnionType } = require('graphql')
+	const type = schema.getType(typeName)
+	if (!type)
+		throw new Error(`Invalid argument. 'resolvers.${typeName}' does not match any type of the schema.`)
+	Object.keys(resolvers[typeName] || {}).forEach(key => {
+		const resolver = resolvers[typeName][key]
+		if (key == '__resolveType' && (type instanceof GraphQLInterfaceType || type instanceof GraphQLUnionType))
+			type.resolveType = resolver
+		else if (key == '__isTypeOf' && type instanceof GraphQLObjectType)
+			type.isTypeOf = resolver
+		else if (!(type instanceof GraphQLObjectType || type instanceof GraphQLInterfaceType))
+			throw new Error(`Invalid argument. 'resolvers.${typeName}.${key}' cannot be defined because '${typeName}' is not an object type or an interface.`)
+		else if (!type.getFields()[key])
+			throw new Error(`Invalid argument. 'resolvers.${typeName}.${key}' does not match any field of type '${typeName}'.`)
+		else if (typeof(resolver) == 'function')
+			type.getFields()[key].resolve = resolver
+		else
+			Object.assign(type.getFields()[key], _.pick(resolver, ['resolve', 'subscribe']))
+	})
+})
+
+/**
+ * Builds a graphql.js schema from an enriched GraphQL schema. The metadata of the types and of their fields (e.g., 
+ * '@node', '@edge', '@auth(roles: ["admin"])') are available in their 'extensions' (e.g., 
+ * 'info.parentType.getFields()[info.fieldName].extensions.metadata.auth.args.roles'). The interfaces without 
+ * '__resolveType' resolver use the ones returned by 'getResolveTypes'.
+ * 
+ * @param  {String|Object} graphQlSchema 	Enriched GraphQL schema (either a string or the output of 'loadSchema').
+ * @param  {Object}        resolvers 		Optional. Resolvers per type name (e.g., { Query: { posts: () => [] } }).
+ * @param  {Object}        options 			Transpiler's options (see 'transpile'). 'sourceMap' and 'collectErrors' are 
+ *                                 			ignored.
+ * @return {GraphQLSchema} output
+ */
+const buildEnrichedSchema = (graphQlSchema, resolvers, options) => {
+	const { buildASTSchema } = require('graphql')
+	const ASTs = _getSchemaAST(graphQlSchema, null, options)
+	const schema = buildASTSchema(_getDocument(ASTs))
+	_addMetadataExtensions(schema, ASTs)
+	_addResolvers(schema, _.merge({}, _getResolveTypes(ASTs), resolvers))
+	return schema
+}
+
+// Incremental updates: the definitions of each file are kept, so that an edit only re-parses the definitions it 
+// touches. The types affected by the edit (i.e. the edited types and the types depending on them) are then resolved 
+// again, together with the types they depend on, while the other types are kept as they are. A type only depends on the
+// types that change its output: its super classes ('inherits'), its interfaces ('implements'), the type it is derived 
+// from ('from') and the generic types it instantiates (e.g., 'Paged' in 'posts: Paged<Post>'). The other types it 
+// refers to (e.g., 'Post' in 'author: Post') are only printed by name.
+
+const _getTypeRefNames = typeRef => 
+	!typeRef || typeRef.kind == 'KEYS' ? [] :
+	typeRef.kind == 'NAMED' ? [typeRef.name, ..._.flatten((typeRef.args || []).map(_getTypeRefNames))] :
+	_getTypeRefNames(typeRef.ofType)
+
+/**
+ * Gets the generic types instantiated by a type reference and their type arguments.
+ * 
+ * @param  {TypeRef}  typeRef 				e.g. the type reference of '[Paged<Edge<User>>]'
+ * @param  {[String]} argDependentTypes 	Generic types whose output depends on their type arguments (e.g. 'Pick').
+ * @param  {Boolean}  isArg 				True if 'typeRef' is a type argument.
+ * @return {[Object]}         				e.g. [{ name: 'Paged' }, { name: 'Edge' }, { name: 'User', isArg: true }]
+ */
+const _getInstantiatedTypes = (typeRef, argDependentTypes, isArg) => {
+	if (!typeRef || typeRef.kind == 'KEYS')
+		return []
+	if (typeRef.kind != 'NAMED')
+		return _getInstantiatedTypes(typeRef.ofType, argDependentTypes, isArg)
+	if (!typeRef.args)
+		return isArg ? [{ name: typeRef.name, isArg }] : []
+	return [
+		{ name: typeRef.name }, 
+		..._.flatten(typeRef.args.map(arg => argDependentTypes.indexOf(typeRef.name) >= 0 
+			? _getTypeRefNames(arg).map(name => ({ name }))
+			: _getInstantiatedTypes(arg, argDependentTypes, true)))
+	]
+}
+
+/**
+ * Gets the names of the types a definition depends on.
+ * 
+ * @param  {Object}   def 					Definition returned by the parser (e.g. for 'type Student inherits Person { 
+ *                       					books: Paged<Book> }').
+ * @param  {[String]} argDependentTypes 	Generic types whose output depends on their type arguments (e.g. 'Pick'). 
+ *                                     		Their type arguments are listed in 'types'.
+ * @return {[String]} output.types 			Types that change the output of the definition (e.g. ['Person', 'Paged']).
+ * @return {[String]} output.typeArguments 	Type arguments of its generic types, which only need to be defined (e.g. 
+ *                                         	['Book']).
+ */
+const _getDefinitionDependencies = (def, argDependentTypes) => {
+	const instantiatedTypes = _.flatten([
+		..._.flatten((def.fields || []).map(field => [field.type, ...(field.args || []).map(arg => arg.type)])),
+		...(def.members || [])
+	].map(typeRef => _getInstantiatedTypes(typeRef, argDependentTypes)))
+	const types = _.uniq([
+		..._.flatten([
+			...(def.inherits || []), 
+			...(def.implements || []), 
+			def.from,
+			...(def.genericParameters || []).map(p => p.defaultType)
+		].map(_getTypeRefNames)),
+		..._.flatten((def.genericParameters || []).map(p => p.constraints || [])),
+		...instantiatedTypes.filter(x => !x.isArg).map(x => x.name)
+	])
+	return { types, typeArguments: _.difference(_.uniq(instantiatedTypes.filter(x => x.isArg).map(x => x.name)), types) }
+}
+
+/**
+ * Gets the names of the definitions affected by a change, i.e. the changed definitions and the ones depending on them, 
+ * directly or not. The type arguments of a generic type only affect it if they are checked against constraints or if 
+ * it is a built-in generic type (e.g. 'User' in 'Pick<User, "id">'), or if they are added or removed. As inputs derived
+ * from types (e.g. 'input UserInput from User') map the types of their fields to other inputs, they are all affected.
+ * 
+ * @param  {[Object]} definitions 		All the definitions.
+ * @param  {[Object]} changedDefinitions 	Definitions that were added, removed or modified.
+ * @return {Set}                  		e.g. Set { 'User', 'Paged' }
+ */
+const _getAffectedNames = (definitions, changedDefinitions) => {
+	const argDependentTypes = [
+		...Object.keys(BUILT_IN_GENERIC_TYPES), 
+		...definitions.filter(def => (def.genericParameters || []).some(p => p.constraints)).map(def => def.name)
+	]
+	const dependents = new Map()
+	const argDependents = new Map()
+	const addDependent = (map, name, dependent) => map.has(name) ? map.get(name).push(dependent) : map.set(name, [dependent])
+	definitions.forEach(def => chain(_getDefinitionDependencies(def, argDependentTypes)).next(({ types, typeArguments }) => {
+		types.forEach(name => addDependent(dependents, name, def.name))
+		typeArguments.forEach(name => addDependent(argDependents, name, def.name))
+	}).val())
+	// A type argument that is added or removed (e.g. 'Teacher' in 'Paged<Teacher>') affects the types using it. 
+	const previousDefinitions = [
+		...definitions.filter(def => changedDefinitions.indexOf(def) < 0), 
+		...changedDefinitions.filter(def => definitions.indexOf(def) < 0)
+	]
+	const addedOrRemovedNames = _.xor(_.uniq(definitions.map(def => def.name)), _.uniq(previousDefinitions.map(def => def.name)))
+	const names = [
+		...changedDefinitions.map(def => def.name),
+		..._.flatten(addedOrRemovedNames.map(name => argDependents.get(name) || [])),
+		...(changedDefinitions.length > 0 ? definitions.filter(def => def.from).map(def => def.name) : [])
+	]
+	const affected = new Set()
+	while (names.length > 0) {
+		const name = names.pop()
+		if (!affected.has(name)) {
+			affected.add(name)
+			names.push(...(dependents.get(name) || []))
+		}
+	}
+	return affected
+}
+
+/**
+ * Gets the definitions needed to resolve some types, i.e. their own definitions and the ones they depend on. The type
+ * arguments of their generic types only need to be defined (e.g. to check the constraints of the generic types), so 
+ * their fields are left out. Inputs derived from types also need the types of the fields they derive and the inputs 
+ * derived from these (see '_getInputTypeName'). Directives and schema definitions are always included.
+ * 
+ * @param  {[Object]} definitions 	All the definitions.
+ * @param  {Set}      names 		e.g. Set { 'Student' }
+ * @return {[Object]}             	Definitions (in the same order as 'definitions').
+ */
+const _getRequiredDefinitions = (definitions, names) => {
+	const definitionsByName = _.groupBy(definitions, def => def.name)
+	const argDependentTypes = Object.keys(BUILT_IN_GENERIC_TYPES)
+	// 0: only defined (i.e. without fields), 1: resolved, 2: resolved with the types of its fields (derived inputs).
+	const levels = new Map()
+	const queue = [...names].map(name => ({ name, level: 1 }))
+	while (queue.length > 0) {
+		const { name, level } = queue.pop()
+		if (!_.has(definitionsByName, name) || (levels.has(name) && levels.get(name) >= level))
+			continue
+		levels.set(name, level)
+		definitionsByName[name].forEach(def => {
+			const { types, typeArguments } = _getDefinitionDependencies(level > 0 ? def : _getDefinitionWithoutFields(def), argDependentTypes)
+			queue.push(
+				...types.map(n => ({ name: n, level: level > 0 && def.from ? 2 : level })), 
+				...typeArguments.map(n => ({ name: n, level: 0 })))
+			if (level > 1)
+				_.uniq(_.flatten((def.fields || []).map(field => _getTypeRefNames(field.type)))).forEach(n => queue.push(
+					{ name: n, level: 1 }, 
+					{ name: `${n}Input`, level: 1 }, 
+					...definitions.filter(d => d.from && d.from.name == n).map(d => ({ name: d.name, level: 1 }))))
+		})
+	}
+	return definitions
+		.filter(def => levels.has(def.name) || def.kind == 'DIRECTIVE' || def.kind == 'SCHEMA')
+		.map(def => levels.get(def.name) === 0 ? _getDefinitionWithoutFields(def) : def)
+}
+
+// Keeps only what tells whether a type is defined, its kind and its ancestors (e.g. for the constraints of generic types).
+const _getDefinitionWithoutFields = def => Object.assign({}, def, { fields: [], from: null })
+
+/**
+ * Resolves a list of definitions. The generic types the concrete generic types were created from are memoized in 
+ * 'ctx.concreteGenericOrigins' (e.g. { PagedUser: 'Paged<User>' }).
+ * 
+ * @param  {Object}       ctx 			Context of the run (see '_createContext').
+ * @param  {[Object]}     definitions 	Definitions returned by the parser. They are not mutated.
+ * @param  {Array}        metadata 		Metadata of all the definitions of the schema.
+ * @param  {Object}       options 		Transpiler's options (see 'transpile').
+ * @param  {[SchemaType]} knownTypes 	Resolved types declared outside 'definitions'.
+ * @return {[SchemaType]} 				Schema objects.
+ */
+const _getDefinitionsAST = (ctx, definitions, metadata, options, knownTypes) => 
+	getSchemaParts(ctx, _.cloneDeep(definitions), _.cloneDeep(metadata), options, knownTypes)
+
+const _getTextPosition = (text, offset) => chain(text.slice(0, offset).split('\n')).next(lines => ({ line: lines.length, column: _.last(lines).length + 1 })).val()
+
+const _getTextOffset = (text, { line, column }) => text.split('\n').slice(0, line - 1).reduce((acc, l) => acc + l.length + 1, 0) + column - 1
+
+// Offset of the first character of a definition, including its comments and metadata.
+const _getBlockStart = def => Math.min(def.start, ...def.comments.map(c => c.start), ...def.metadata.map(m => m.start))
+
+// Copies a definition returned by the parser. As it is made of plain objects and arrays only, this is much cheaper than 
+// '_.cloneDeep', which matters as all the definitions located after an edit are copied.
+const _copyDefinition = value => 
+	Array.isArray(value) ? value.map(_copyDefinition) :
+	value && typeof(value) == 'object' ? Object.keys(value).reduce((acc, key) => { acc[key] = _copyDefinition(value[key]); return acc }, {}) :
+	value
+
+/**
+ * Moves the locations (and the offsets) located after an edit, so that they match the edited text. Objects shared by 
+ * several nodes are only moved once.
+ * 
+ * @param  {Object}  node 				Definition or schema object.
+ * @param  {Object}  edit 				Edit returned by '_getTextEdit'.
+ * @param  {String}  source 			File the locations of 'node' refer to (undefined if the schema is a single string).
+ * @param  {Set}     moved 				Objects already moved.
+ * @return {Void}
+ */
+const _moveLocations = (node, edit, source, moved) => {
+	if (!node || typeof(node) != 'object' || moved.has(node))
+		return
+	moved.add(node)
+	const movePosition = position => {
+		if (!position || moved.has(position))
+			return
+		moved.add(position)
+		if (position.line > edit.end.line || (position.line == edit.end.line && position.column >= edit.end.column)) {
+			if (position.line == edit.end.line)
+				position.column += edit.newEnd.column - edit.end.column
+			position.line += edit.newEnd.line - edit.end.line
+		}
+	}
+	const nodeSource = node.loc ? node.loc.source : source
+	Object.keys(node).forEach(key => {
+		const value = node[key]
+		if (key == 'loc' && value && !moved.has(value)) {
+			moved.add(value)
+			if (value.source == edit.source) {
+				movePosition(value.start)
+				movePosition(value.end)
+			}
+		}
+		else if ((key == 'start' || key == 'end') && typeof(value) == 'number') {
+			if (source == edit.source && value >= edit.endOffset)
+				node[key] = value + edit.newEndOffset - edit.endOffset
+		}
+		else if (key == 'commentPositions' && Array.isArray(value) && nodeSource == edit.source)
+			value.forEach(movePosition)
+		else
+			_moveLocations(value, edit, nodeSource, moved)
+	})
 }
 
-const _buildASTs = (ASTs=[]) => {
-	const part_01 = ASTs
-		.filter(x => !x.genericType && x.type != 'ABSTRACT' && x.type != 'DIRECTIVE')
-		.map(obj => _parseSchemaObjToString(obj.comments, obj.type, obj.name, obj.implements, obj.blockProps, obj.extend, obj.directive))
-		.join('\n')
+/**
+ * Describes an edit of a file.
+ * 
+ * @param  {String} text 		File's text before the edit.
+ * @param  {String} source 		File's name (undefined if the schema is a single string).
+ * @param  {Number} start 		Offset of the first edited character.
+ * @param  {Number} end 		Offset straight after the last edited character.
+ * @param  {String} newText 	Text replacing the edited characters.
+ * @return {Object} 			e.g. { source, startOffset, endOffset, newEndOffset, end: { line, column }, newEnd: { line, column }, text }
+ *                  			where 'text' is the file's text after the edit.
+ */
+const _getTextEdit = (text, source, start, end, newText) => chain(`${text.slice(0, start)}${newText}${text.slice(end)}`).next(editedText => ({
+	source,
+	startOffset: start,
+	endOffset: end,
+	newEndOffset: start + newText.length,
+	end: _getTextPosition(text, end),
+	newEnd: _getTextPosition(editedText, start + newText.length),
+	text: editedText
+})).val()
+
+/**
+ * Gets the smallest edit that turns a text into another one.
+ * 
+ * @param  {String} text 		e.g. 'type User { id: ID }'
+ * @param  {String} newText 	e.g. 'type User { id: ID! }'
+ * @return {Object} 			e.g. { start: 17, end: 17, text: '!' }
+ */
+const _diffTexts = (text, newText) => {
+	const maxLength = Math.min(text.length, newText.length)
+	let start = 0
+	while (start < maxLength && text[start] == newText[start])
+		start++
+	let length = 0
+	while (length < maxLength - start && text[text.length - length - 1] == newText[newText.length - length - 1])
+		length++
+	return { start, end: text.length - length, text: newText.slice(start, newText.length - length) }
+}
+
+// Definitions are compared regardless of their locations, which are moved separately.
+const _getDefinitionSignature = def => JSON.stringify(def, (key, value) => key == 'loc' || key == 'start' || key == 'end' ? undefined : value)
+
+const _getLocationKey = loc => loc ? `${loc.source || ''}:${loc.start.line}:${loc.start.column}` : ''
 
-	const directives = ASTs.filter(x => x.type == 'DIRECTIVE' && x.raw).map(x => x.raw).join('')
+const _isPrintedType = schemaType => !schemaType.genericType && schemaType.type != 'ABSTRACT' && schemaType.type != 'DIRECTIVE' && schemaType.type != 'SCHEMA'
 
-	return directives + '\n' + part_01
+const _getPrintedTypeName = schemaType => 
+	schemaType.type == 'DIRECTIVE' ? `@${schemaType.name}` : 
+	schemaType.type == 'SCHEMA' ? 'schema' : 
+	schemaType.name
+
+// Transpiled text of each schema object, memoized in the 'printedTypes' of an incremental state. Chunks are joined with 
+// new lines so that comments end with their chunk.
+const _printType = (printedTypes, schemaType) => {
+	if (!printedTypes.has(schemaType))
+		printedTypes.set(schemaType, _isPrintedType(schemaType) 
+			? _getSchemaObjChunks(schemaType).map(x => x.value).join('\n') 
+			: schemaType.raw || '')
+	return printedTypes.get(schemaType)
 }
 
-const getSchemaAST = graphQlSchema => {
-	resetMemory()
-	const { stdSchema, metadata } = removeGraphMetadata(graphQlSchema)
-	const ASTs = getSchemaParts(stdSchema, metadata, true)
-	resetMemory()
-	return ASTs
+const _getReferencedNames = text => text.replace(/"""[\s\S]*?"""|"(?:[^"\\\n]|\\.)*"|#[^\n]*/g, ' ').match(/[_A-Za-z][_0-9A-Za-z]*/g) || []
+
+/**
+ * Removes the generic types that are not used anymore (e.g., 'PagedUser' once 'users: Paged<User>' is removed).
+ * 
+ * @param  {WeakMap}      printedTypes 		Transpiled text of each schema object (see '_printType').
+ * @param  {[SchemaType]} declaredTypes 	Resolved schema types declared in the schema.
+ * @param  {[SchemaType]} genericTypes  	Resolved concrete generic types.
+ * @return {[SchemaType]}               	Generic types used by the declared types, directly or not.
+ */
+const _removeUnusedGenericTypes = (printedTypes, declaredTypes, genericTypes) => {
+	const genericTypesByName = new Map(genericTypes.map(x => [x.name, x]))
+	const used = new Set()
+	const queue = _.flatten(declaredTypes.filter(_isPrintedType).map(x => _getReferencedNames(_printType(printedTypes, x))))
+	while (queue.length > 0) {
+		const name = queue.pop()
+		if (used.has(name) || !genericTypesByName.has(name))
+			continue
+		used.add(name)
+		queue.push(..._getReferencedNames(_printType(printedTypes, genericTypesByName.get(name))))
+	}
+	return genericTypes.filter(x => used.has(x.name))
 }
 
-const transpile = graphQlSchema => {
-	const ASTs = getSchemaAST(graphQlSchema)
-	const build = _buildASTs(ASTs)
-	return build
+/**
+ * Transpiles a schema and keeps what is needed to update it incrementally.
+ * 
+ * @param  {String|Object} graphQlSchema 	Enriched GraphQL schema (either a string or the output of 'loadSchema').
+ * @param  {Object}        options 			Transpiler's options (see 'transpile').
+ * @param  {[Error]}       errors        	If defined, the errors found in the schema are pushed into this array 
+ *                                       	instead of being thrown, and the faulty parts of the schema are ignored.
+ * @return {Object}        					Incremental state (see '_updateIncrementalState').
+ */
+const _createIncrementalState = (graphQlSchema, options, errors) => {
+	const files = graphQlSchema && graphQlSchema.files
+		? graphQlSchema.files.map(({ file, content, schema }) => ({ file, content, schema, definitions: [] }))
+		: [{ file: undefined, content: graphQlSchema || '', schema: graphQlSchema || '', definitions: [] }]
+	let ASTs = []
+	let genericOrigins = {}
+	try {
+		const ctx = _createContext(options, errors)
+		files.forEach(f => f.definitions = parse(f.schema, errors ? { file: f.file, onError: err => errors.push(err) } : { file: f.file }))
+		const definitions = _.flatten(files.map(f => f.definitions))
+		ASTs = _getDefinitionsAST(ctx, definitions, extractGraphMetadata(definitions), options, [])
+		genericOrigins = ctx.concreteGenericOrigins
+	}
+	catch(err) {
+		if (!errors)
+			throw err
+		errors.push(err)
+	}
+	const definitions = _.flatten(files.map(f => f.definitions))
+	const locationKeys = new Set(definitions.map(def => `${getDefinitionName(def)}|${_getLocationKey(def.loc)}`))
+	return {
+		printedTypes: new WeakMap(),
+		multiFile: graphQlSchema && graphQlSchema.files ? true : false,
+		files,
+		declaredTypes: ASTs.filter(x => x.type != 'DIRECTIVE' && x.type != 'SCHEMA' && locationKeys.has(`${x.name}|${_getLocationKey(x.loc)}`)),
+		genericTypes: ASTs.filter(x => x.type != 'DIRECTIVE' && x.type != 'SCHEMA' && !locationKeys.has(`${x.name}|${_getLocationKey(x.loc)}`)),
+		otherTypes: ASTs.filter(x => x.type == 'DIRECTIVE' || x.type == 'SCHEMA'),
+		genericOrigins,
+		errors: errors ? [...errors] : []
+	}
+}
+
+const _getStateASTs = state => [...state.declaredTypes, ...state.genericTypes, ...state.otherTypes]
+
+const _getStateSchema = state => state.multiFile 
+	? { files: state.files.map(({ file, content, schema }) => ({ file, content, schema })) } 
+	: state.files[0].content
+
+/**
+ * Gets the transpiled schema of an incremental state.
+ * 
+ * @param  {Object}  state 					Incremental state.
+ * @param  {Object}  options 				Transpiler's options (see 'transpile').
+ * @return {String}  output.sdl 			Transpiled schema.
+ * @return {Object}  output.map 			Source map. Only if 'options.sourceMap' is truthy.
+ * @return {[Object]} output.errors 		Diagnostics. Only if 'options.collectErrors' is true.
+ */
+const _getStateOutput = (state, { sourceMap, collectErrors }) => {
+	const chunks = _getASTsChunks(_getStateASTs(state))
+	const output = { sdl: chunks.map(x => x.value).join('') }
+	if (sourceMap)
+		output.map = _getSourceMap(chunks, _getStateSchema(state), sourceMap)
+	if (collectErrors)
+		output.errors = getDiagnostics(state.errors)
+	return output
+}
+
+/**
+ * Updates a file or a type of a schema that was transpiled with '_createIncrementalState'.
+ * 
+ * @param  {Object}   state 				Incremental state. Only the locations of its schema objects are moved to 
+ *                        				match the edit.
+ * @param  {String}   fileOrTypeName 		File's name (e.g., 'blog/post.graphql') or type's name (e.g., 'Post'). A 
+ *                                  		single string schema is updated as a whole if this is null.
+ * @param  {String}   newSource 			New content of the file or new definition of the type (including its 
+ *                                			comments and metadata). An empty string removes the type.
+ * @param  {Object}   options 				Transpiler's options (see 'transpile').
+ * @param  {[Error]}  errors 				If defined, the errors found in the edited schema are pushed into this array
+ *                            				instead of being thrown, and the faulty parts of the schema are ignored.
+ * @return {Object}   output.state 			New incremental state.
+ * @return {[String]} output.changedTypes 	Names of the transpiled types that were added, modified or removed.
+ */
+const _updateIncrementalState = (state, fileOrTypeName, newSource, options, errors) => {
+	// 1. Find what is edited (i.e. a file, a type or a single string schema).
+	newSource = `${newSource || ''}`
+	if (fileOrTypeName === null && state.multiFile)
+		throw new Error('Missing required argument. \'fileOrTypeName\' is required when the schema was loaded from multiple files.')
+	const file = state.files.find(f => fileOrTypeName === null ? !state.multiFile : f.file !== undefined && f.file == fileOrTypeName)
+	const typeDefs = file ? [] : _.flatten(state.files.map(f => f.definitions.filter(def => def.name == fileOrTypeName || getDefinitionName(def) == fileOrTypeName)))
+	const typeDef = typeDefs.find(def => !def.extend) || typeDefs[0]
+	const editedFile = file || (typeDef ? state.files.find(f => f.definitions.indexOf(typeDef) >= 0) : _.last(state.files))
+	const { start, end, text } = 
+		file ? _diffTexts(file.schema, state.multiFile ? removeImports(newSource) : newSource) :
+		typeDef ? { start: _getBlockStart(typeDef), end: typeDef.end, text: newSource } :
+		{ start: editedFile.schema.length, end: editedFile.schema.length, text: `${/\n$/.test(editedFile.schema) ? '' : '\n'}${newSource}` }
+	const edit = _getTextEdit(editedFile.schema, editedFile.file, start, end, text)
+	const content = file 
+		? newSource 
+		: chain(editedFile.content).next(c => `${c.slice(0, _getTextOffset(c, _getTextPosition(editedFile.schema, start)))}${text}${c.slice(_getTextOffset(c, edit.end))}`).val()
+
+	// 2. Re-parse the definitions touched by the edit. Definitions located straight before or after it are also 
+	// re-parsed (e.g., 'union U = A' followed by ' | B'). If the edited definitions now overlap the following ones (e.g., 
+	// a missing '}'), these are re-parsed too.
+	const before = editedFile.definitions.filter(def => def.end < start)
+	let after = editedFile.definitions.filter(def => _getBlockStart(def) > end)
+	const removed = editedFile.definitions.filter(def => before.indexOf(def) < 0 && after.indexOf(def) < 0)
+	const shift = edit.newEndOffset - edit.endOffset
+	const regionStart = Math.min(start, ...removed.map(_getBlockStart))
+	let regionEnd = Math.max(edit.newEndOffset, ...removed.map(def => def.end + shift))
+	let parsed = []
+	let parseErrors = []
+	for (;;) {
+		parseErrors = []
+		parsed = parse(edit.text, { file: editedFile.file, start: regionStart, end: regionEnd, onError: errors ? err => parseErrors.push(err) : undefined })
+		const parsedEnd = Math.max(regionEnd, ...parsed.map(def => def.end))
+		const overlapped = after.filter(def => _getBlockStart(def) + shift < parsedEnd)
+		if (overlapped.length == 0)
+			break
+		regionEnd = Math.max(parsedEnd, ...overlapped.map(def => def.end + shift))
+		after = after.filter(def => overlapped.indexOf(def) < 0)
+		removed.push(...overlapped)
+	}
+	const moved = new Set()
+	const movedAfter = after.map(def => chain(_copyDefinition(def)).next(d => _moveLocations(d, edit, editedFile.file, moved) || d).val())
+	const files = state.files.map(f => f === editedFile 
+		? { file: f.file, content, schema: edit.text, definitions: [...before, ...parsed, ...movedAfter] } 
+		: f)
+
+	// 2.1. The errors of the unaffected types are only known once the whole schema is resolved again. So, when errors 
+	// are collected, the schema is transpiled from scratch as long as it has errors.
+	const retranspile = () => chain(_createIncrementalState(_getStateSchema({ multiFile: state.multiFile, files }), options, errors))
+		.next(newState => ({ state: newState, changedTypes: _getChangedTypes(state, newState) }))
+		.val()
+	if (errors && (state.errors.length > 0 || parseErrors.length > 0))
+		return retranspile()
+
+	// 3. Resolve the affected types, as well as the types they depend on.
+	const definitions = _.flatten(files.map(f => f.definitions))
+	const removedSignatures = removed.map(_getDefinitionSignature)
+	const parsedSignatures = parsed.map(_getDefinitionSignature)
+	const changedDefinitions = [
+		...removed.filter((def, idx) => parsedSignatures.indexOf(removedSignatures[idx]) < 0),
+		...parsed.filter((def, idx) => removedSignatures.indexOf(parsedSignatures[idx]) < 0)
+	]
+	const affectedNames = _getAffectedNames(definitions, changedDefinitions)
+	const isAffected = schemaType => affectedNames.has(schemaType.name.replace(/<.*$/, ''))
+	const unaffectedTypes = state.declaredTypes.filter(x => !isAffected(x))
+	const ctx = _createContext(options, errors ? [] : null)
+	let ASTs = []
+	try {
+		ASTs = _getDefinitionsAST(ctx,
+			_getRequiredDefinitions(definitions, affectedNames), 
+			extractGraphMetadata(definitions), 
+			options, 
+			unaffectedTypes)
+	}
+	catch(err) {
+		if (!errors)
+			throw err
+		return retranspile()
+	}
+
+	// 4. Merge the resolved types with the unaffected ones. Declared types are sorted the same way 'getSchemaParts' does.
+	const locationKeys = new Map(definitions.map((def, idx) => [`${getDefinitionName(def)}|${_getLocationKey(def.loc)}`, idx]))
+	const getDefinitionIndex = schemaType => locationKeys.get(`${schemaType.name}|${_getLocationKey(schemaType.loc)}`)
+	const resolvedTypes = ASTs.filter(x => x.type != 'DIRECTIVE' && x.type != 'SCHEMA')
+	const resolvedGenericTypes = resolvedTypes.filter(x => getDefinitionIndex(x) === undefined)
+	const origins = Object.assign({}, state.genericOrigins, ctx.concreteGenericOrigins)
+	const genericTypes = _removeDeclaredGenericTypes(ctx,
+		[...unaffectedTypes, ...resolvedTypes.filter(x => getDefinitionIndex(x) !== undefined)],
+		[
+			...state.genericTypes.map(x => resolvedGenericTypes.find(y => y.name == x.name) || x),
+			...resolvedGenericTypes.filter(x => !state.genericTypes.some(y => y.name == x.name))
+		], 
+		origins)
+	if (errors && ctx.errors.length > 0)
+		return retranspile()
+	// The unaffected types are moved only once nothing can fail anymore.
+	_getStateASTs(state).forEach(x => _moveLocations(x, edit, undefined, moved))
+	const declaredTypes = _.sortBy(
+		[...unaffectedTypes, ...resolvedTypes.filter(x => isAffected(x) && getDefinitionIndex(x) !== undefined)],
+		x => SCHEMA_OBJECT_KINDS.indexOf(x.type), 
+		getDefinitionIndex)
+	const newState = {
+		printedTypes: state.printedTypes,
+		multiFile: state.multiFile,
+		files,
+		declaredTypes,
+		genericTypes: _removeUnusedGenericTypes(state.printedTypes, declaredTypes, genericTypes),
+		otherTypes: ASTs.filter(x => x.type == 'DIRECTIVE' || x.type == 'SCHEMA'),
+		genericOrigins: origins,
+		errors: []
+	}
+
+	// 5. List the transpiled types whose text changed.
+	return { state: newState, changedTypes: _getChangedTypes(state, newState) }
+}
+
+/**
+ * Lists the transpiled types whose text changed between two incremental states.
+ * 
+ * @param  {Object}   state 		Incremental state before the update.
+ * @param  {Object}   newState 		Incremental state after the update.
+ * @return {[String]} 				Names of the transpiled types that were added, modified or removed.
+ */
+const _getChangedTypes = (state, newState) => {
+	const getTexts = ({ printedTypes }, ASTs) => ASTs.reduce((acc, x) => {
+		const name = _getPrintedTypeName(x)
+		acc.set(name, `${acc.get(name) || ''}${_printType(printedTypes, x)}`)
+		return acc
+	}, new Map())
+	const oldTexts = getTexts(state, _getStateASTs(state).filter(x => _isPrintedType(x) || x.raw))
+	const newTexts = getTexts(newState, _getStateASTs(newState).filter(x => _isPrintedType(x) || x.raw))
+	return [
+		...[...newTexts.keys()].filter(name => oldTexts.get(name) !== newTexts.get(name)),
+		...[...oldTexts.keys()].filter(name => !newTexts.has(name))
+	]
+}
+
+const DEFAULT_CACHE_SIZE = 100
+
+const _getCacheKey = (method, graphQlSchema) => `${method}:${typeof(graphQlSchema) == 'string' ? graphQlSchema : JSON.stringify((graphQlSchema || {}).files || graphQlSchema)}`
+
+/**
+ * Creates a transpiler with its own options and its own cache. The results are cached per method and per schema (the 
+ * least recently used ones are evicted first once the cache is full). Errors are never cached and each 'getSchemaAST' 
+ * call returns a copy of the cached schema objects, so that they can be safely mutated.
+ * 
+ * @param  {Object}  options 				Transpiler's options (see 'transpile') used by all the methods.
+ * @param  {Number}  options.cacheSize 		Default 100. Maximum number of cached results. 0 disables the cache.
+ * @return {Function} output.transpileSchema 	(graphQlSchema: String|Object) => String|Object (see 'transpile').
+ * @return {Function} output.getSchemaAST 		(graphQlSchema: String|Object) => [SchemaType] (see 'getSchemaAST').
+ * @return {Function} output.validateSchema 	(graphQlSchema: String|Object) => [Object] (see 'validateSchema').
+ * @return {Function} output.getResolveTypes 	(graphQlSchema: String|Object) => Object (see 'getResolveTypes').
+ * @return {Function} output.transpileToDocument 	(graphQlSchema: String|Object) => DocumentNode (see 
+ *                                                	'transpileToDocument').
+ * @return {Function} output.buildEnrichedSchema 	(graphQlSchema: String|Object, resolvers: Object) => GraphQLSchema 
+ *                                                	(see 'buildEnrichedSchema'). Not cached.
+ * @return {Function} output.update 			(fileOrTypeName: String, newSource: String) => { sdl: String, 
+ *                                   			changedTypes: [String] }. Incrementally updates the last schema transpiled
+ *                                   			with 'transpileSchema' (see '_updateIncrementalState'). Like 
+ *                                   			'transpileSchema', the output also contains a source map if 
+ *                                   			'options.sourceMap' is truthy, and the errors if 'options.collectErrors' 
+ *                                   			is true (in which case errors are not thrown).
+ * @return {Function} output.clearCache 		() => Void. Removes all the cached results.
+ * @return {Function} output.getCacheStats 	() => { size: Number, maxSize: Number, hits: Number, misses: Number }
+ */
+const createTranspiler = options => {
+	const { cacheSize=DEFAULT_CACHE_SIZE } = options || {}
+	if (!Number.isInteger(cacheSize) || cacheSize < 0)
+		throw new Error('Invalid argument. \'options.cacheSize\' must be a positive integer or 0.')
+	const transpilerOptions = _.omit(options || {}, 'cacheSize')
+	const cache = new Map()
+	const stats = { hits: 0, misses: 0 }
+
+	const cached = (method, fn, copy) => graphQlSchema => {
+		const key = _getCacheKey(method, graphQlSchema)
+		if (cache.has(key)) {
+			stats.hits++
+			const value = cache.get(key)
+			// Moves the result to the end of the cache (i.e. most recently used).
+			cache.delete(key)
+			cache.set(key, value)
+			return copy ? _.cloneDeep(value) : value
+		}
+		stats.misses++
+		const value = fn(graphQlSchema, transpilerOptions)
+		if (cacheSize > 0) {
+			cache.set(key, copy ? _.cloneDeep(value) : value)
+			if (cache.size > cacheSize)
+				cache.delete(cache.keys().next().value)
+		}
+		return value
+	}
+
+	// Incremental state of the schema updated by 'update'. It is created while transpiling the schema with 
+	// 'transpileSchema', so that the first update does not transpile the whole schema again.
+	let incrementalState = null
+	const getIncrementalState = cached(
+		'transpileSchema', 
+		(graphQlSchema, opts) => _createIncrementalState(graphQlSchema, opts, opts.collectErrors ? [] : null), 
+		true)
+
+	return {
+		transpileSchema: graphQlSchema => {
+			const { sourceMap, collectErrors } = transpilerOptions
+			// The printed types are memoized per schema object, so they cannot be shared with the cached state.
+			incrementalState = Object.assign(getIncrementalState(graphQlSchema), { printedTypes: new WeakMap() })
+			const output = _getStateOutput(incrementalState, transpilerOptions)
+			return sourceMap || collectErrors ? output : output.sdl
+		},
+		update: (fileOrTypeName, newSource) => {
+			if (incrementalState === null)
+				throw new Error('Nothing to update. A schema must be transpiled with \'transpileSchema\' first.')
+			const { state, changedTypes } = _updateIncrementalState(
+				incrementalState, 
+				fileOrTypeName === undefined ? null : fileOrTypeName, 
+				newSource, 
+				transpilerOptions,
+				transpilerOptions.collectErrors ? [] : null)
+			incrementalState = state
+			return Object.assign(_getStateOutput(state, transpilerOptions), { changedTypes })
+		},
+		getSchemaAST: cached('getSchemaAST', getSchemaAST, true),
+		validateSchema: cached('validateSchema', validateSchema, true),
+		getResolveTypes: cached('getResolveTypes', getResolveTypes, false),
+		transpileToDocument: cached('transpileToDocument', transpileToDocument, true),
+		buildEnrichedSchema: (graphQlSchema, resolvers) => buildEnrichedSchema(graphQlSchema, resolvers, transpilerOptions),
+		clearCache: () => {
+			cache.clear()
+			stats.hits = 0
+			stats.misses = 0
+		},
+		getCacheStats: () => ({ size: cache.size, maxSize: cacheSize, hits: stats.hits, misses: stats.misses })
+	}
 }
 
 let graphqls2s = {
 	getSchemaAST,
 	transpileSchema: transpile,
+	validateSchema,
+	getResolveTypes,
+	transpileToDocument,
+	buildEnrichedSchema,
+	createTranspiler,
+	loadSchema,
 	extractGraphMetadata,
 	getGenericAlias,
 	getQueryAST,
 	buildQuery,
-	isTypeGeneric
+	isTypeGeneric,
+	getOriginalPosition
 }
 
 if (typeof(window) != 'undefined') window.graphqls2s = graphqls2s
@@ -0,0 +1,140 @@
+/**
+ * Copyright (c) 2018, Neap Pty Ltd.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+*/
+
+// Multi-File Schemas:
+// ===================
+// 	An enriched schema can be split over multiple files that import each other:
+// 		# import Node, Paged from "./common.graphql"
+// 		# import "./common.graphql"
+// 	Files are loaded through a pluggable reader (no dependency on 'fs', so that this also works in the browser) and
+// 	each file is included only once. The loaded files are then transpiled together, so inheritance and generic types
+// 	work across them. Named imports only check that the imported file defines those names: the whole file is included.
+
+const { parse } = require('./parser')
+const { createSchemaError } = require('./diagnostics')
+
+const IMPORT_REGEX = /^[ \t]*#[ \t]*import[ \t]+(?:(.+?)[ \t]+from[ \t]+)?(["'])(.+?)\2[ \t]*$/
+
+/**
+ * Resolves an import path relative to the importing file (POSIX style).
+ *
+ * @param  {String} importPath 	e.g. '../common.graphql'
+ * @param  {String} fromFile   	e.g. 'schema/blog/post.graphql'
+ * @return {String}            	e.g. 'schema/common.graphql'
+ */
+const _resolvePath = (importPath, fromFile) => {
+	const base = importPath[0] == '/' || !fromFile ? [] : fromFile.split('/').slice(0, -1)
+	return [...base, ...importPath.split('/')].reduce((acc, part, idx) => {
+		if (part == '.' || (!part && idx > 0))
+			return acc
+		if (part == '..' && acc.length > 0 && acc[acc.length - 1] != '..' && acc[acc.length - 1] != '')
+			acc.pop()
+		else
+			acc.push(part)
+		return acc
+	}, []).join('/')
+}
+
+/**
+ * Gets the import statements of a file.
+ *
+ * @param  {String}   content 	File's content.
+ * @return {[Object]} output 	[{ path: './common.graphql', names: ['Node', 'Paged'], line: 1 }]. 'names' is null if the
+ *                           	whole file is imported.
+ */
+const _getImports = content => content.split('\n').map((text, idx) => {
+	const m = text.replace(/\r$/, '').match(IMPORT_REGEX)
+	if (!m)
+		return null
+	const names = m[1] && m[1].trim() != '*' ? m[1].split(',').map(x => x.trim()).filter(x => x) : null
+	return { path: m[3], names, line: idx + 1 }
+}).filter(x => x)
+
+/**
+ * Removes the import statements of a file. Their lines are left empty so that locations are not affected.
+ *
+ * @param  {String} content 	File's content.
+ * @return {String} output 	e.g. '\ntype Query { ... }' for '# import "./common.graphql"\ntype Query { ... }'
+ */
+const removeImports = content => {
+	const importLines = _getImports(content).map(x => x.line)
+	return content.split('\n').map((l, idx) => importLines.indexOf(idx + 1) >= 0 ? '' : l).join('\n')
+}
+
+const _getImportLoc = (file, line) => ({ source: file, start: { line, column: 1 }, end: { line, column: 1 } })
+
+/**
+ * Loads an enriched schema split over multiple files.
+ *
+ * @param  {String}   file 					Entry file (e.g., './schema.graphql').
+ * @param  {Function} options.readFile 		Required. (file: String) => String or Promise<String>.
+ * @param  {Function} options.resolvePath 	Optional. (importPath: String, fromFile: String) => String. Default resolves
+ *                                        	relative paths POSIX style. 'fromFile' is null for the entry file.
+ * @return {Promise<Object>} output.files 	[{ file: String, content: String, schema: String }] where imported files come
+ *                                        	before the files importing them. 'schema' is the file's content without its
+ *                                        	import statements.
+ */
+const loadSchema = (file, options) => {
+	const { readFile, resolvePath=_resolvePath } = options || {}
+	if (typeof(readFile) != 'function')
+		return Promise.reject(new Error('Missing required argument. \'options.readFile\' must be a function.'))
+
+	const loadedFiles = []
+	const definedNames = {}
+
+	const load = (filePath, stack, importedFrom) => {
+		if (stack.indexOf(filePath) >= 0)
+			return Promise.reject(createSchemaError({
+				code: 'IMPORT_CYCLE',
+				message: `Import cycle detected: ${[...stack, filePath].join(' -> ')}.`,
+				loc: importedFrom ? _getImportLoc(importedFrom.file, importedFrom.line) : null
+			}))
+		if (definedNames[filePath])
+			return Promise.resolve(definedNames[filePath])
+
+		return Promise.resolve()
+			.then(() => readFile(filePath))
+			.catch(err => {
+				throw createSchemaError({
+					code: 'IMPORT_NOT_FOUND',
+					message: `Cannot read file '${filePath}' (${(err && err.message) || err}).`,
+					loc: importedFrom ? _getImportLoc(importedFrom.file, importedFrom.line) : null
+				})
+			})
+			.then(content => {
+				const text = `${content || ''}`
+				const imports = _getImports(text)
+				return imports.reduce((job, imp) => job.then(names => {
+					const importedFile = resolvePath(imp.path, filePath)
+					return load(importedFile, [...stack, filePath], { file: filePath, line: imp.line }).then(importedNames => {
+						const missingName = (imp.names || []).find(name => importedNames.indexOf(name) < 0)
+						if (missingName)
+							throw createSchemaError({
+								code: 'UNKNOWN_IMPORT',
+								message: `'${missingName}' is not defined in '${importedFile}'.`,
+								loc: _getImportLoc(filePath, imp.line)
+							})
+						return [...names, ...importedNames]
+					})
+				}), Promise.resolve([])).then(importedNames => {
+					const schema = removeImports(text)
+					const names = parse(schema, { onError: () => null, file: filePath }).map(def => def.name).filter(x => x)
+					loadedFiles.push({ file: filePath, content: text, schema })
+					definedNames[filePath] = [...names, ...importedNames]
+					return definedNames[filePath]
+				})
+			})
+	}
+
+	return load(resolvePath(file, null), [], null).then(() => ({ files: loadedFiles }))
+}
+
+module.exports = {
+	loadSchema,
+	removeImports
+}
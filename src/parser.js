@@ -0,0 +1,946 @@
+/**
+ * Copyright (c) 2018, Neap Pty Ltd.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+*/
+
+// Enriched Schema Grammar:
+// ========================
+// 	Standard GraphQL SDL plus the following extensions:
+// 		- 'inherits' clause on blocks (e.g. 'type Student inherits Person, Node { ... }'). Inherited fields can be excluded 
+// 		  or renamed (e.g. 'type PublicUser inherits User without { passwordHash } { email as contactEmail } { ... }').
+// 		  Enums and unions can inherit too (e.g. 'enum AdminRole inherits Role { ... }' or 'union SearchResult inherits 
+// 		  MediaResult = Person').
+// 		- Generic types (e.g. 'type Paged<T> { ... }' and 'posts: Paged<Post>'). Generic parameters can be constrained
+// 		  (e.g. 'type Paged<T: Node & Timestamped> { ... }' or 'input Filter<T: scalar> { ... }') and have a default type
+// 		  (e.g. 'type Result<T, E = Error> { ... }'). Type arguments can be unions of field names (e.g. 'Pick<Post, "id" | "title">'),
+// 		  and a generic type can be declared without body (e.g. 'type Pick<T, K>') so that it can be decorated.
+// 		- Inputs derived from types (e.g. 'input UserInput from User without { password }').
+// 		- 'abstract' blocks (e.g. 'abstract Node { ... }').
+// 		- Metadata decorations, i.e. '@name(...)' on their own line ABOVE a definition or a field. An '@' that follows
+// 		  something on the same line is a standard GraphQL directive.
+
+const { createSchemaError } = require('./diagnostics')
+
+const NAME = 'Name'
+const PUNCTUATOR = 'Punctuator'
+const STRING = 'String'
+const NUMBER = 'Number'
+const EOF = '<EOF>'
+
+const PUNCTUATORS = '{}()[]<>:=!|&@'
+const BLOCK_KEYWORDS = { 'type': 'TYPE', 'input': 'INPUT', 'interface': 'INTERFACE', 'enum': 'ENUM', 'abstract': 'ABSTRACT' }
+const DEFINITION_START_REGEX = /^[ \t]*(extend[ \t]+)?(type|input|interface|enum|abstract|union|scalar|directive|schema)([ \t{]|$)/
+
+const _getLineOffsets = source => {
+	const offsets = [0]
+	for (let i = 0; i < source.length; i++)
+		if (source[i] == '\n')
+			offsets.push(i + 1)
+	return offsets
+}
+
+/**
+ * Converts a character offset into a line/column position (both 1-based).
+ *
+ * @param  {[Number]} lineOffsets 	Offset of the first character of each line.
+ * @param  {Number}   offset      	Character offset in the source.
+ * @return {Number}   output.line
+ * @return {Number}   output.column
+ */
+const _getPosition = (lineOffsets, offset) => {
+	let low = 0
+	let high = lineOffsets.length - 1
+	while (low < high) {
+		const mid = Math.ceil((low + high) / 2)
+		if (lineOffsets[mid] <= offset)
+			low = mid
+		else
+			high = mid - 1
+	}
+	return { line: low + 1, column: offset - lineOffsets[low] + 1 }
+}
+
+/**
+ * Creates a lexer over the enriched schema. Tokens are read lazily so that the parser can switch to raw scanning
+ * (e.g. metadata bodies such as '@alias((T) => T + 's')' which are not GraphQL).
+ *
+ * @param  {String} source 	Enriched GraphQL schema.
+ * @param  {String} file   	Optional name of the file the schema comes from (e.g. './common.graphql').
+ * @param  {Number} start  	Default 0. Offset the lexer starts reading from.
+ * @return {Object}        	Lexer
+ */
+const createLexer = (source='', file, start=0) => {
+	const length = source.length
+	const lineOffsets = _getLineOffsets(source)
+	let pos = start
+	let lastEnd = start
+	let lookahead = null
+
+	const position = offset => _getPosition(lineOffsets, offset)
+
+	const syntaxError = (msg, offset, code='SYNTAX_ERROR') => {
+		const start = position(offset)
+		return createSchemaError({ 
+			code, 
+			message: `${msg} at line ${start.line}, column ${start.column}${file ? ` in '${file}'` : ''}.`, 
+			loc: file ? { source: file, start, end: start } : { start, end: start } 
+		})
+	}
+
+	const scanGroup = start => {
+		let depth = 0
+		let quote = null
+		for (let i = start; i < length; i++) {
+			const c = source[i]
+			if (quote) {
+				if (c == '\\')
+					i++
+				else if (c == quote)
+					quote = null
+			}
+			else if (c == '"' || c == '\'' || c == '`')
+				quote = c
+			else if (c == '(')
+				depth++
+			else if (c == ')') {
+				depth--
+				if (depth == 0)
+					return i + 1
+			}
+		}
+		return -1
+	}
+
+	const readString = start => {
+		if (source.startsWith('"""', start)) {
+			let i = start + 3
+			while (i < length && !source.startsWith('"""', i))
+				i += source[i] == '\\' && source.startsWith('"""', i + 1) ? 4 : 1
+			if (i >= length)
+				throw syntaxError('Unterminated block string', start)
+			return i + 3
+		}
+		let i = start + 1
+		while (i < length && source[i] != '"') {
+			if (source[i] == '\n' || source[i] == '\r')
+				throw syntaxError('Unterminated string', start)
+			i += source[i] == '\\' ? 2 : 1
+		}
+		if (i >= length)
+			throw syntaxError('Unterminated string', start)
+		return i + 1
+	}
+
+	const readToken = () => {
+		const comments = []
+		let newLine = pos == 0
+		while (pos < length) {
+			const c = source[pos]
+			if (c == '\n') {
+				newLine = true
+				pos++
+			}
+			else if (c == ' ' || c == '\t' || c == '\r' || c == ',' || c == '\ufeff')
+				pos++
+			else if (c == '#') {
+				const start = pos
+				while (pos < length && source[pos] != '\n' && source[pos] != '\r')
+					pos++
+				comments.push({ kind: 'COMMENT', value: source.slice(start, pos).trim(), start, end: pos })
+			}
+			else
+				break
+		}
+
+		const start = pos
+		const token = (kind, end) => {
+			pos = end
+			return { kind, value: source.slice(start, end), start, end, newLine, comments }
+		}
+
+		if (pos >= length)
+			return token(EOF, pos)
+
+		const c = source[pos]
+		if (/[_A-Za-z]/.test(c))
+			return token(NAME, start + source.slice(start).match(/^[_0-9A-Za-z]+/)[0].length)
+		if (/[-0-9]/.test(c)) {
+			const m = source.slice(start).match(/^-?\d+(\.\d+)?([eE][+-]?\d+)?/)
+			if (!m)
+				throw syntaxError(`Unexpected character '${c}'`, start)
+			return token(NUMBER, start + m[0].length)
+		}
+		if (c == '"')
+			return token(STRING, readString(start))
+		if (PUNCTUATORS.indexOf(c) >= 0)
+			return token(PUNCTUATOR, start + 1)
+
+		throw syntaxError(`Unexpected character '${c}'`, start)
+	}
+
+	const peek = () => lookahead || (lookahead = readToken())
+
+	const next = () => {
+		const token = peek()
+		lookahead = null
+		lastEnd = token.end
+		return token
+	}
+
+	/**
+	 * Peeks at a token located after the next token, without consuming anything.
+	 *
+	 * @param  {Number} count 	1 for the token that follows the next token, 2 for the one after, ...
+	 * @return {Token}
+	 */
+	const peekAhead = count => {
+		const savedPos = pos
+		let token = peek()
+		pos = token.end
+		try {
+			for (let i = 0; i < count; i++)
+				token = readToken()
+		}
+		finally {
+			pos = savedPos
+		}
+		return token
+	}
+
+	/**
+	 * Reads the raw text of a balanced parenthesis group starting at the next token, which must be '('.
+	 *
+	 * @return {String} e.g. '(reason: "Use \'newField\'.")'
+	 */
+	const readGroup = () => {
+		const token = peek()
+		const end = scanGroup(token.start)
+		if (end < 0)
+			throw syntaxError('Unterminated \'(\'', token.start)
+		lookahead = null
+		pos = lastEnd = end
+		return source.slice(token.start, end)
+	}
+
+	/**
+	 * Reads the body of a metadata decoration, straight after its name. The body is either a balanced parenthesis
+	 * group (which may span multiple lines) or the rest of the line.
+	 *
+	 * @return {String} e.g. '((T) => T + \'s\')'
+	 */
+	const readMetadataBody = () => {
+		lookahead = null
+		let start = lastEnd
+		while (start < length && (source[start] == ' ' || source[start] == '\t'))
+			start++
+		if (source[start] == '(') {
+			const end = scanGroup(start)
+			if (end >= 0) {
+				pos = lastEnd = end
+				return source.slice(start, end)
+			}
+		}
+		let end = start
+		while (end < length && source[end] != '\n' && source[end] != '\r' && source[end] != '#')
+			end++
+		pos = end
+		const body = source.slice(start, end).trim()
+		if (body)
+			lastEnd = start + source.slice(start, end).trimEnd().length
+		return body
+	}
+
+	/**
+	 * Skips everything up to the next line that starts a definition (e.g. 'type User {'). This is used to recover 
+	 * from a syntax error so that the following definitions can still be parsed.
+	 *
+	 * @param  {Number} offset 	Offset of the definition that failed. The lexer always moves past its line.
+	 */
+	const skipDefinition = offset => {
+		const { line } = position(offset)
+		const nextDefinition = lineOffsets.slice(line).find(o => DEFINITION_START_REGEX.test(source.slice(o, source.indexOf('\n', o) < 0 ? length : source.indexOf('\n', o))))
+		lookahead = null
+		pos = lastEnd = nextDefinition === undefined ? length : nextDefinition
+	}
+
+	return {
+		source,
+		file,
+		peek,
+		peekAhead,
+		next,
+		readGroup,
+		readMetadataBody,
+		skipDefinition,
+		position,
+		syntaxError,
+		offset: () => lookahead ? lookahead.start : pos,
+		lastEnd: () => lastEnd
+	}
+}
+
+/**
+ * Gets the location of a node. Lines and columns are 1-based, and 'end' points straight after the node's last character.
+ * If the lexer reads a named file, the location also contains the file's name (i.e. 'source').
+ *
+ * @param  {Lexer}  lexer
+ * @param  {Number} start 	Offset of the node's first character.
+ * @param  {Number} end   	Offset straight after the node's last character.
+ * @return {Object} output 	e.g. { start: { line: 2, column: 3 }, end: { line: 2, column: 16 } }
+ */
+const _getLocation = (lexer, start, end) => lexer.file 
+	? { source: lexer.file, start: lexer.position(start), end: lexer.position(end) }
+	: { start: lexer.position(start), end: lexer.position(end) }
+
+const _describe = token => token.kind == EOF ? 'end of schema' : `'${token.value}'`
+
+const _is = (token, value, kind=PUNCTUATOR) => token.kind == kind && token.value == value
+
+const _expect = (lexer, value, kind=PUNCTUATOR) => {
+	const token = lexer.next()
+	if (!_is(token, value, kind))
+		throw lexer.syntaxError(`Expected '${value}' but found ${_describe(token)}`, token.start)
+	return token
+}
+
+const _expectName = lexer => {
+	const token = lexer.next()
+	if (token.kind != NAME)
+		throw lexer.syntaxError(`Expected a name but found ${_describe(token)}`, token.start)
+	return token
+}
+
+const _takeComments = token => {
+	const comments = token.comments
+	token.comments = []
+	return comments
+}
+
+/**
+ * Parses the comments, descriptions and metadata decorations located above a definition, a field or an argument.
+ *
+ * @param  {Lexer}  lexer
+ * @return {Array}  output.comments 			e.g. [{ kind: 'COMMENT', value: '# Some comment', start: 12, end: 26, loc: { ... } }]
+ * @return {Array}  output.metadata 			e.g. [{ name: 'edge', body: '(\'<-[ABOUT]-\')', start: 40, end: 60, loc: { ... } }]
+ */
+const _parseDecorations = lexer => {
+	const comments = []
+	const metadata = []
+	for (;;) {
+		const token = lexer.peek()
+		comments.push(..._takeComments(token).map(c => Object.assign(c, { loc: _getLocation(lexer, c.start, c.end) })))
+		if (token.kind == STRING) {
+			lexer.next()
+			comments.push({ kind: 'DESCRIPTION', value: token.value, start: token.start, end: token.end, loc: _getLocation(lexer, token.start, token.end) })
+		}
+		else if (_is(token, '@')) {
+			lexer.next()
+			const name = _expectName(lexer).value
+			const body = lexer.readMetadataBody()
+			metadata.push({ name, body, start: token.start, end: lexer.lastEnd(), loc: _getLocation(lexer, token.start, lexer.lastEnd()) })
+		}
+		else
+			return { comments, metadata }
+	}
+}
+
+/**
+ * Parses a union of field names used as a type argument (e.g. '"id" | "name"' in 'Pick<User, "id" | "name">').
+ *
+ * @param  {Lexer}  lexer
+ * @return {TypeRef} 		{ kind: 'KEYS', keys: ['id', 'name'] }
+ */
+const _parseKeys = lexer => {
+	const keys = []
+	do {
+		if (_is(lexer.peek(), '|'))
+			lexer.next()
+		const token = lexer.next()
+		const key = token.kind == STRING && !token.value.startsWith('"""') ? JSON.parse(token.value) : null
+		if (!key || !/^[_A-Za-z][_0-9A-Za-z]*$/.test(key))
+			throw lexer.syntaxError(`Expected a field name (e.g. "id") but found ${_describe(token)}`, token.start)
+		keys.push(key)
+	} while (_is(lexer.peek(), '|'))
+	return { kind: 'KEYS', keys }
+}
+
+/**
+ * Parses a type reference (e.g. 'String', '[Post!]!', 'Paged<Post,Date>', 'Pick<Post,"id"|"title">').
+ *
+ * @param  {Lexer}  lexer
+ * @return {TypeRef} 		Either { kind: 'NAMED', name, args }, { kind: 'LIST', ofType } or { kind: 'NON_NULL', ofType }. 
+ *                   		Type arguments can also be { kind: 'KEYS', keys }.
+ */
+const _parseTypeReference = lexer => {
+	const token = lexer.next()
+	let ref
+	if (_is(token, '[')) {
+		ref = { kind: 'LIST', ofType: _parseTypeReference(lexer) }
+		_expect(lexer, ']')
+	}
+	else if (token.kind == NAME) {
+		ref = { kind: 'NAMED', name: token.value, args: null }
+		if (_is(lexer.peek(), '<')) {
+			lexer.next()
+			ref.args = []
+			while (!_is(lexer.peek(), '>'))
+				ref.args.push(lexer.peek().kind == STRING ? _parseKeys(lexer) : _parseTypeReference(lexer))
+			_expect(lexer, '>')
+			if (!ref.args.length)
+				throw lexer.syntaxError(`Missing type arguments in generic type '${token.value}'`, token.start)
+		}
+	}
+	else
+		throw lexer.syntaxError(`Expected a type but found ${_describe(token)}`, token.start)
+
+	if (_is(lexer.peek(), '!')) {
+		lexer.next()
+		ref = { kind: 'NON_NULL', ofType: ref }
+	}
+	return ref
+}
+
+/**
+ * Prints a type reference.
+ *
+ * @param  {TypeRef} ref 	Type reference returned by the parser.
+ * @return {String}     	e.g. '[Paged<Post,Date>]!'
+ */
+const printTypeReference = ref =>
+	!ref ? '' :
+	ref.kind == 'KEYS' ? ref.keys.map(key => JSON.stringify(key)).join('|') :
+	ref.kind == 'NON_NULL' ? `${printTypeReference(ref.ofType)}!` :
+	ref.kind == 'LIST' ? `[${printTypeReference(ref.ofType)}]` :
+	ref.args ? `${ref.name}<${ref.args.map(printTypeReference).join(',')}>` : ref.name
+
+/**
+ * Parses the directives that follow a definition's header, a field, an argument or an enum value.
+ *
+ * @param  {Lexer}   lexer
+ * @param  {Boolean} allowNewLine 	When false, an '@' that starts a new line is left alone as it is the metadata of
+ *                                	the next field.
+ * @return {Array}   output[]		e.g. [{ name: 'deprecated', raw: '@deprecated(reason: "Too old")', loc: { ... } }]
+ */
+const _parseDirectives = (lexer, allowNewLine) => {
+	const directives = []
+	while (_is(lexer.peek(), '@') && (allowNewLine || !lexer.peek().newLine)) {
+		const start = lexer.next().start
+		const name = _expectName(lexer).value
+		if (_is(lexer.peek(), '(') && !lexer.peek().newLine)
+			lexer.readGroup()
+		directives.push({ name, raw: lexer.source.slice(start, lexer.lastEnd()), loc: _getLocation(lexer, start, lexer.lastEnd()) })
+	}
+	return directives
+}
+
+const _parseValue = lexer => {
+	const token = lexer.next()
+	if (_is(token, '[')) {
+		while (!_is(lexer.peek(), ']'))
+			_parseValue(lexer)
+		lexer.next()
+	}
+	else if (_is(token, '{')) {
+		while (!_is(lexer.peek(), '}')) {
+			_expectName(lexer)
+			_expect(lexer, ':')
+			_parseValue(lexer)
+		}
+		lexer.next()
+	}
+	else if (token.kind != NAME && token.kind != NUMBER && token.kind != STRING)
+		throw lexer.syntaxError(`Expected a value but found ${_describe(token)}`, token.start)
+	return token
+}
+
+const _parseArguments = lexer => {
+	_expect(lexer, '(')
+	const args = []
+	for (;;) {
+		const { comments } = _parseDecorations(lexer)
+		if (_is(lexer.peek(), ')'))
+			break
+		const nameToken = _expectName(lexer)
+		_expect(lexer, ':')
+		const type = _parseTypeReference(lexer)
+		let defaultValue = null
+		if (_is(lexer.peek(), '=')) {
+			lexer.next()
+			const start = _parseValue(lexer).start
+			defaultValue = lexer.source.slice(start, lexer.lastEnd())
+		}
+		const directives = _parseDirectives(lexer, true)
+		const loc = _getLocation(lexer, nameToken.start, lexer.lastEnd())
+		args.push({ name: nameToken.value, type, defaultValue, directives, comments, loc })
+	}
+	_expect(lexer, ')')
+	return args
+}
+
+const _parseField = (lexer, kind) => {
+	const { comments, metadata } = _parseDecorations(lexer)
+	const token = lexer.peek()
+	if (_is(token, '}')) {
+		if (metadata.length)
+			throw lexer.syntaxError(`Misused metadata attribute '@${metadata[0].name}'. It does not decorate any field`, metadata[0].start, 'MISUSED_METADATA')
+		return null
+	}
+	const nameToken = _expectName(lexer)
+	const args = _is(lexer.peek(), '(') ? _parseArguments(lexer) : null
+	// Only the values of an enum have no type.
+	let type = null
+	if (kind != 'ENUM') {
+		_expect(lexer, ':')
+		type = _parseTypeReference(lexer)
+	}
+	// Default value of an input field (e.g. 'tags: [String!]! = ["a"]').
+	let defaultValue = null
+	if (type && _is(lexer.peek(), '=')) {
+		lexer.next()
+		const start = _parseValue(lexer).start
+		defaultValue = lexer.source.slice(start, lexer.lastEnd())
+	}
+	const directives = _parseDirectives(lexer, false)
+	const end = lexer.lastEnd()
+	return {
+		name: nameToken.value,
+		args,
+		type,
+		defaultValue,
+		directives,
+		metadata,
+		comments,
+		raw: lexer.source.slice(nameToken.start, end),
+		start: nameToken.start,
+		end,
+		loc: _getLocation(lexer, nameToken.start, end)
+	}
+}
+
+/**
+ * Parses the generic parameters of a definition (e.g. '<T: Node & Timestamped, U = Error>').
+ *
+ * @param  {Lexer}  lexer
+ * @return {Array}  output 		e.g. [{ name: 'T', constraints: ['Node', 'Timestamped'], defaultType: null, loc: { ... } }, 
+ *                         		{ name: 'U', constraints: null, defaultType: { kind: 'NAMED', name: 'Error', args: null }, loc: { ... } }]
+ */
+const _parseGenericParameters = lexer => {
+	if (!_is(lexer.peek(), '<'))
+		return null
+	lexer.next()
+	const parameters = []
+	while (!_is(lexer.peek(), '>')) {
+		const nameToken = _expectName(lexer)
+		let constraints = null
+		if (_is(lexer.peek(), ':')) {
+			lexer.next()
+			constraints = [_expectName(lexer).value]
+			while (_is(lexer.peek(), '&')) {
+				lexer.next()
+				constraints.push(_expectName(lexer).value)
+			}
+		}
+		let defaultType = null
+		if (_is(lexer.peek(), '=')) {
+			lexer.next()
+			defaultType = _parseTypeReference(lexer)
+		}
+		else if (parameters.some(p => p.defaultType))
+			throw lexer.syntaxError(`Generic parameter '${nameToken.value}' must have a default type because it follows a parameter with a default type`, nameToken.start)
+		parameters.push({ name: nameToken.value, constraints, defaultType, loc: _getLocation(lexer, nameToken.start, lexer.lastEnd()) })
+	}
+	_expect(lexer, '>')
+	return parameters
+}
+
+/**
+ * Parses the reference to an implemented interface (e.g. 'Node' or 'Collection<Post>').
+ *
+ * @param  {Lexer}  lexer
+ * @return {TypeRef}
+ */
+const _parseInterfaceReference = lexer => {
+	const token = lexer.peek()
+	const ref = _parseTypeReference(lexer)
+	if (ref.kind != 'NAMED')
+		throw lexer.syntaxError(`Expected an interface but found '${printTypeReference(ref)}'`, token.start)
+	return ref
+}
+
+const _isDefinitionStart = (lexer, token) => token.newLine 
+	&& DEFINITION_START_REGEX.test(lexer.source.slice(token.start).split('\n')[0])
+
+const _isRenamingBlock = lexer => _is(lexer.peek(), '{') && lexer.peekAhead(1).kind == NAME && _is(lexer.peekAhead(2), 'as', NAME)
+
+/**
+ * Parses the fields excluded from or renamed in an inherited type (e.g. 'without { passwordHash, email }' or 
+ * '{ email as contactEmail }'), straight after that type.
+ *
+ * @param  {Lexer}  lexer
+ * @return {Object} output.without 		e.g. [{ name: 'passwordHash', loc: { ... } }]
+ * @return {Object} output.renames 		e.g. [{ name: 'email', alias: 'contactEmail', loc: { ... } }]
+ *                                 		Null if no fields are excluded or renamed.
+ */
+const _parseInheritedFields = lexer => {
+	const without = []
+	const renames = []
+	for (;;) {
+		if (_is(lexer.peek(), 'without', NAME) && _is(lexer.peekAhead(1), '{')) {
+			lexer.next()
+			_expect(lexer, '{')
+			while (!_is(lexer.peek(), '}')) {
+				const token = _expectName(lexer)
+				without.push({ name: token.value, loc: _getLocation(lexer, token.start, token.end) })
+			}
+			_expect(lexer, '}')
+		}
+		else if (_isRenamingBlock(lexer)) {
+			lexer.next()
+			while (!_is(lexer.peek(), '}')) {
+				const token = _expectName(lexer)
+				_expect(lexer, 'as', NAME)
+				const alias = _expectName(lexer)
+				renames.push({ name: token.value, alias: alias.value, loc: _getLocation(lexer, token.start, alias.end) })
+			}
+			_expect(lexer, '}')
+		}
+		else
+			return without.length || renames.length ? { without, renames } : null
+	}
+}
+
+const _parseBlockDefinition = (lexer, kind, def) => {
+	def.name = _expectName(lexer).value
+	def.genericParameters = _parseGenericParameters(lexer)
+	def.genericTypes = def.genericParameters ? def.genericParameters.map(p => p.name) : null
+	for (;;) {
+		const token = lexer.peek()
+		if (_is(token, 'inherits', NAME)) {
+			lexer.next()
+			def.inherits = []
+			def.inheritedFields = []
+			do {
+				def.inherits.push(_parseTypeReference(lexer))
+				def.inheritedFields.push(_parseInheritedFields(lexer))
+			} while (lexer.peek().kind == NAME && !_is(lexer.peek(), 'implements', NAME) && !_isDefinitionStart(lexer, lexer.peek()))
+		}
+		else if (kind == 'INPUT' && _is(token, 'from', NAME)) {
+			lexer.next()
+			def.from = _parseTypeReference(lexer)
+			def.fromFields = _parseInheritedFields(lexer)
+		}
+		else if (_is(token, 'implements', NAME)) {
+			lexer.next()
+			def.implements = []
+			do {
+				if (_is(lexer.peek(), '&'))
+					lexer.next()
+				def.implements.push(_parseInterfaceReference(lexer))
+			} while (_is(lexer.peek(), '&') || (lexer.peek().kind == NAME && !_is(lexer.peek(), 'inherits', NAME)))
+		}
+		else
+			break
+	}
+	def.directives = _parseDirectives(lexer, true)
+	// A generic type without body (e.g. 'type Pick<T, K>') only declares that generic type so that it can be 
+	// decorated (e.g. with '@alias').
+	if (def.genericParameters && !def.inherits && !def.implements && !_is(lexer.peek(), '{'))
+		return def
+	// The body of an input derived from a type is optional (e.g. 'input UserInput from User without { password }'), and
+	// so is the body of an extension (e.g. 'extend type Query @key(fields: "id")') and the body of a type whose last
+	// inherited type excludes or renames fields (e.g. 'type Contact inherits User { email as contactEmail }').
+	if ((def.from || def.extend || (def.inherits && def.inheritedFields[def.inheritedFields.length - 1])) && !_is(lexer.peek(), '{')) {
+		def.fields = []
+		return def
+	}
+	_expect(lexer, '{')
+	def.fields = []
+	for (let field = _parseField(lexer, kind); field; field = _parseField(lexer, kind))
+		def.fields.push(field)
+	_expect(lexer, '}')
+	return def
+}
+
+const _parseUnion = (lexer, def) => {
+	def.name = _expectName(lexer).value
+	def.genericParameters = _parseGenericParameters(lexer)
+	def.genericTypes = def.genericParameters ? def.genericParameters.map(p => p.name) : null
+	if (_is(lexer.peek(), 'inherits', NAME)) {
+		lexer.next()
+		def.inherits = []
+		do {
+			def.inherits.push(_parseTypeReference(lexer))
+		} while (lexer.peek().kind == NAME)
+	}
+	def.directives = _parseDirectives(lexer, false)
+	def.members = []
+	// The members of a union inheriting from other unions are optional (e.g. 'union SearchResult inherits MediaResult').
+	if (def.inherits && !_is(lexer.peek(), '='))
+		return def
+	_expect(lexer, '=')
+	if (_is(lexer.peek(), '|'))
+		lexer.next()
+	def.members.push(_parseTypeReference(lexer))
+	while (_is(lexer.peek(), '|')) {
+		lexer.next()
+		def.members.push(_parseTypeReference(lexer))
+	}
+	return def
+}
+
+const _parseScalar = (lexer, def) => {
+	def.name = _expectName(lexer).value
+	def.directives = _parseDirectives(lexer, false)
+	return def
+}
+
+const _parseDirectiveDefinition = (lexer, def) => {
+	_expect(lexer, '@')
+	def.name = _expectName(lexer).value
+	if (_is(lexer.peek(), '('))
+		_parseArguments(lexer)
+	if (_is(lexer.peek(), 'repeatable', NAME))
+		lexer.next()
+	_expect(lexer, 'on', NAME)
+	if (_is(lexer.peek(), '|'))
+		lexer.next()
+	_expectName(lexer)
+	while (_is(lexer.peek(), '|')) {
+		lexer.next()
+		_expectName(lexer)
+	}
+	return def
+}
+
+const _parseSchemaDefinition = (lexer, def) => {
+	def.name = null
+	def.directives = _parseDirectives(lexer, true)
+	if (_is(lexer.peek(), '{')) {
+		lexer.next()
+		while (!_is(lexer.peek(), '}')) {
+			_expectName(lexer)
+			_expect(lexer, ':')
+			_expectName(lexer)
+		}
+		lexer.next()
+	}
+	return def
+}
+
+const _parseDefinition = lexer => {
+	const { comments, metadata } = _parseDecorations(lexer)
+	const token = lexer.peek()
+	// Stray closing brackets have always been tolerated by the transpiler.
+	if (_is(token, '}')) {
+		lexer.next()
+		return null
+	}
+	if (token.kind == EOF) {
+		if (metadata.length)
+			throw lexer.syntaxError(`Misused metadata attribute '@${metadata[0].name}'. It does not decorate any schema type`, metadata[0].start, 'MISUSED_METADATA')
+		return null
+	}
+
+	const start = token.start
+	const extend = _is(token, 'extend', NAME)
+	if (extend)
+		lexer.next()
+	const keyword = _expectName(lexer)
+	const def = {
+		kind: null,
+		extend,
+		name: null,
+		genericTypes: null,
+		genericParameters: null,
+		inherits: null,
+		inheritedFields: null,
+		from: null,
+		fromFields: null,
+		implements: null,
+		directives: [],
+		metadata,
+		comments,
+		fields: null,
+		members: null,
+		raw: null,
+		start,
+		end: null,
+		loc: null
+	}
+
+	if (BLOCK_KEYWORDS[keyword.value]) {
+		def.kind = BLOCK_KEYWORDS[keyword.value]
+		_parseBlockDefinition(lexer, def.kind, def)
+	}
+	else if (keyword.value == 'union') {
+		def.kind = 'UNION'
+		_parseUnion(lexer, def)
+	}
+	else if (keyword.value == 'scalar') {
+		def.kind = 'SCALAR'
+		_parseScalar(lexer, def)
+	}
+	else if (keyword.value == 'directive' && !extend) {
+		def.kind = 'DIRECTIVE'
+		_parseDirectiveDefinition(lexer, def)
+	}
+	else if (keyword.value == 'schema') {
+		def.kind = 'SCHEMA'
+		_parseSchemaDefinition(lexer, def)
+	}
+	else
+		throw lexer.syntaxError(`Unexpected ${_describe(keyword)}`, keyword.start)
+
+	def.end = lexer.lastEnd()
+	def.loc = _getLocation(lexer, start, def.end)
+	def.raw = lexer.source.slice(start, def.end)
+	return def
+}
+
+/**
+ * Parses an enriched GraphQL schema.
+ *
+ * @param  {String} schema 						Enriched GraphQL schema.
+ * @param  {Object} options
+ * @param  {Function} options.onError 			If defined, syntax errors are passed to this function instead of being 
+ *                                     			thrown, and the parser skips to the next definition.
+ * @param  {String} options.file 				Optional name of the file the schema comes from.
+ * @param  {Number} options.start 				Default 0. Offset of the first definition to parse. Locations are still
+ *                                     			relative to the whole schema.
+ * @param  {Number} options.end 				Default is the schema's length. Only the definitions (including their
+ *                                   			comments and metadata) starting before this offset are parsed.
+ * @return {Array}  output[]					Definitions in the order they appear in the schema.
+ * @return {String} output[].kind 				'TYPE', 'INPUT', 'INTERFACE', 'ENUM', 'ABSTRACT', 'UNION', 'SCALAR', 'DIRECTIVE' or 'SCHEMA'
+ * @return {Boolean} output[].extend
+ * @return {String} output[].name 				e.g. 'Paged' (without generic parameters)
+ * @return {Array}  output[].genericTypes 		e.g. ['T', 'U'] for 'type Paged<T,U> { ... }'
+ * @return {Array}  output[].genericParameters 	e.g. [{ name: 'T', constraints: ['Node'], defaultType: null }] for 'type Paged<T: Node> { ... }'
+ * @return {Array}  output[].inherits 			Array of type references.
+ * @return {Array}  output[].inheritedFields 	Fields excluded from or renamed in each inherited type (same order as 'inherits').
+ * @return {Object} output[].from 				Type reference of the type an input is derived from (e.g. 'User' in 'input UserInput from User').
+ * @return {Object} output[].fromFields 		Fields excluded from or renamed in the type an input is derived from.
+ * @return {Array}  output[].implements 		Array of type references (e.g. for 'Node' or 'Collection<Post>').
+ * @return {Array}  output[].directives 		e.g. [{ name: 'cacheControl', raw: '@cacheControl(maxAge: 240)' }]
+ * @return {Array}  output[].metadata 			e.g. [{ name: 'node', body: '' }]
+ * @return {Array}  output[].comments 			Comments and descriptions located above the definition.
+ * @return {Array}  output[].fields 			Fields (or enum values) of block definitions. Null for a generic type declared 
+ *                                      		without body (e.g. 'type Pick<T, K>').
+ * @return {Array}  output[].members 			Type references of a union.
+ * @return {String} output[].raw 				Definition's source text.
+ * @return {Object} output[].loc 				e.g. { start: { line: 2, column: 1 }, end: { line: 5, column: 2 } }
+ */
+const parse = (schema='', options) => {
+	const { onError, file, start:startOffset=0, end:endOffset=schema.length } = options || {}
+	const lexer = createLexer(schema, file, startOffset)
+	const definitions = []
+	for (;;) {
+		let start = null
+		try {
+			const token = lexer.peek()
+			if (token.kind == EOF || Math.min(token.start, ...token.comments.map(c => c.start)) >= endOffset)
+				break
+			start = token.start
+			const def = _parseDefinition(lexer)
+			if (def)
+				definitions.push(def)
+		}
+		catch(err) {
+			if (!onError)
+				throw err
+			onError(err)
+			lexer.skipDefinition(start === null ? lexer.offset() : start)
+		}
+	}
+	return definitions
+}
+
+/**
+ * Parses a standalone type reference.
+ *
+ * @param  {String}  type 	e.g. '[Paged<Edge<Post>>!]!'
+ * @return {TypeRef}      	See '_parseTypeReference'.
+ */
+const parseTypeReference = type => {
+	const lexer = createLexer(type)
+	const ref = _parseTypeReference(lexer)
+	const token = lexer.peek()
+	if (token.kind != EOF)
+		throw lexer.syntaxError(`Unexpected ${_describe(token)}`, token.start)
+	return ref
+}
+
+const _readValue = lexer => {
+	const token = lexer.next()
+	if (_is(token, '[')) {
+		const values = []
+		while (!_is(lexer.peek(), ']'))
+			values.push(_readValue(lexer))
+		lexer.next()
+		return values
+	}
+	if (_is(token, '{')) {
+		const values = {}
+		while (!_is(lexer.peek(), '}')) {
+			const name = _expectName(lexer).value
+			_expect(lexer, ':')
+			values[name] = _readValue(lexer)
+		}
+		lexer.next()
+		return values
+	}
+	if (token.kind == NUMBER)
+		return Number(token.value)
+	if (token.kind == STRING)
+		return token.value.startsWith('"""') ? token.value.slice(3, -3) : JSON.parse(token.value)
+	if (token.kind == NAME)
+		return token.value == 'true' ? true : token.value == 'false' ? false : token.value == 'null' ? null : token.value
+	throw lexer.syntaxError(`Expected a value but found ${_describe(token)}`, token.start)
+}
+
+/**
+ * Parses GraphQL arguments (e.g. the body of a metadata decoration) into a plain object. Enum values are returned as 
+ * strings.
+ *
+ * @param  {String} body 	e.g. '(roles: ["admin"], level: 2)'
+ * @return {Object}      	e.g. { roles: ['admin'], level: 2 }. Null if 'body' is not made of GraphQL arguments (e.g. 
+ *                       	'((T) => T + 's')').
+ */
+const parseArgumentValues = body => {
+	try {
+		const lexer = createLexer(body || '')
+		if (!_is(lexer.peek(), '('))
+			return null
+		lexer.next()
+		const values = {}
+		while (!_is(lexer.peek(), ')')) {
+			const name = _expectName(lexer).value
+			_expect(lexer, ':')
+			values[name] = _readValue(lexer)
+		}
+		lexer.next()
+		return lexer.peek().kind == EOF ? values : null
+	}
+	catch(err) {
+		return null
+	}
+}
+
+/**
+ * Gets the name of a definition, including its generic parameters.
+ *
+ * @param  {Object} def 	Definition returned by 'parse'.
+ * @return {String}     	e.g. 'Paged<T,U>'
+ */
+const getDefinitionName = def => def.genericTypes ? `${def.name}<${def.genericTypes.join(',')}>` : def.name
+
+module.exports = {
+	parse,
+	createLexer,
+	parseTypeReference,
+	printTypeReference,
+	parseArgumentValues,
+	getDefinitionName
+}
@@ -0,0 +1,151 @@
+/**
+ * Copyright (c) 2018, Neap Pty Ltd.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree.
+*/
+
+// Source Maps:
+// ============
+// 	Minimal implementation of the Source Map Revision 3 format (https://sourcemaps.info/spec.html). Only what the
+// 	transpiler needs is supported, i.e. creating a map from a list of segments and looking up the original position
+// 	of a generated position.
+
+const _ = require('lodash')
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+const _encodeVLQ = value => {
+	let vlq = value < 0 ? ((-value) << 1) + 1 : value << 1
+	let encoded = ''
+	do {
+		let digit = vlq & 31
+		vlq >>>= 5
+		if (vlq > 0)
+			digit |= 32
+		encoded += BASE64[digit]
+	} while (vlq > 0)
+	return encoded
+}
+
+const _decodeVLQs = segment => {
+	const values = []
+	let value = 0
+	let shift = 0
+	for (let i = 0; i < segment.length; i++) {
+		const digit = BASE64.indexOf(segment[i])
+		if (digit < 0)
+			throw new Error(`Source map error: Invalid base64 character '${segment[i]}' in mappings.`)
+		value += (digit & 31) << shift
+		if (digit & 32)
+			shift += 5
+		else {
+			values.push(value & 1 ? -(value >>> 1) : value >>> 1)
+			value = 0
+			shift = 0
+		}
+	}
+	return values
+}
+
+/**
+ * Creates a source map.
+ *
+ * @param  {String}   file      					Name of the generated file.
+ * @param  {[String]} sources   					Names of the original files.
+ * @param  {[String]} sourcesContent 				Content of the original files.
+ * @param  {[Object]} segments  					Mappings between the generated text and the original sources.
+ * @param  {Number}   segments[].generatedLine 		0-based line in the generated text.
+ * @param  {Number}   segments[].generatedColumn 	0-based column in the generated text.
+ * @param  {Number}   segments[].source 			Index of the original file in 'sources'.
+ * @param  {Number}   segments[].originalLine 		0-based line in the original file.
+ * @param  {Number}   segments[].originalColumn 	0-based column in the original file.
+ * @return {Object}   output    					Source map (version 3).
+ */
+const createSourceMap = ({ file, sources, sourcesContent, segments }) => {
+	const sorted = (segments || []).slice(0).sort((a, b) => a.generatedLine - b.generatedLine || a.generatedColumn - b.generatedColumn)
+	const lines = []
+	let previous = { source: 0, originalLine: 0, originalColumn: 0 }
+	sorted.forEach(s => {
+		while (lines.length <= s.generatedLine)
+			lines.push([])
+		const line = lines[s.generatedLine]
+		const previousColumn = line.length > 0 ? line[line.length - 1].generatedColumn : 0
+		line.push({
+			generatedColumn: s.generatedColumn,
+			value: [
+				s.generatedColumn - previousColumn,
+				s.source - previous.source,
+				s.originalLine - previous.originalLine,
+				s.originalColumn - previous.originalColumn
+			].map(_encodeVLQ).join('')
+		})
+		previous = s
+	})
+
+	return {
+		version: 3,
+		file: file || '',
+		sources: sources || [],
+		sourcesContent: sourcesContent || [],
+		names: [],
+		mappings: lines.map(line => line.map(s => s.value).join(',')).join(';')
+	}
+}
+
+/**
+ * Decodes the 'mappings' of a source map.
+ *
+ * @param  {String}   mappings 	e.g., 'AAAA;AACA'
+ * @return {[Object]} output   	Segments (see 'createSourceMap').
+ */
+const decodeMappings = mappings => {
+	const segments = []
+	let source = 0
+	let originalLine = 0
+	let originalColumn = 0
+	;(mappings || '').split(';').forEach((line, generatedLine) => {
+		let generatedColumn = 0
+		line.split(',').filter(x => x).forEach(segment => {
+			const values = _decodeVLQs(segment)
+			generatedColumn += values[0]
+			if (values.length < 4)
+				return
+			source += values[1]
+			originalLine += values[2]
+			originalColumn += values[3]
+			segments.push({ generatedLine, generatedColumn, source, originalLine, originalColumn })
+		})
+	})
+	return segments
+}
+
+/**
+ * Finds the original position of a generated position. Lines and columns use the same 1-based convention as graphql.js
+ * errors (i.e. 'error.locations'), so that errors can be directly re-reported against the original sources.
+ *
+ * @param  {Object} map    		Source map (version 3).
+ * @param  {Number} line   		1-based line in the generated text.
+ * @param  {Number} column 		1-based column in the generated text. Default is 1.
+ * @return {String} output.source 	Name of the original file.
+ * @return {Number} output.line   	1-based line in the original file.
+ * @return {Number} output.column 	1-based column in the original file.
+ */
+const getOriginalPosition = (map, { line, column=1 }) => {
+	const lineSegments = decodeMappings((map || {}).mappings).filter(s => s.generatedLine == line - 1)
+	const segment = _.findLast(lineSegments, s => s.generatedColumn <= column - 1) || lineSegments[0]
+	if (!segment)
+		return null
+	return {
+		source: map.sources[segment.source],
+		line: segment.originalLine + 1,
+		column: segment.originalColumn + 1
+	}
+}
+
+module.exports = {
+	createSourceMap,
+	decodeMappings,
+	getOriginalPosition
+}
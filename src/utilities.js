@@ -4,8 +4,7 @@
  * This source code is licensed under the BSD-style license found in the
  * LICENSE file in the root directory of this source tree.
 */
-const { parse } = require('graphql')
-const shortid = require('shortid')
+const { parse } = require('graphql/language/parser')
 
 let _start
 const startTime = anything => {
@@ -28,14 +27,6 @@ const log = (msg, name, transformFn) => chain(name ? `${name}: ${typeof(msg) !=
     .next(() => msg)
     .val()
 /*eslint-enable */
-/**
- * Removes all multi-spaces with a single space + replace carriage returns with 'cr' and tabs with 't'
- * @param  {String} sch Text input
- * @param  {String} cr  Carriage return replacement
- * @param  {String} t   Tab replacement
- * @return {String}     Escaped text
- */
-const escapeGraphQlSchema = (sch, cr='░', t=' ') => sch.replace(/[\n\r]+/g, cr).replace(/[\t\r]+/g, t).replace(/\s+/g, ' ')
 const removeMultiSpaces = s => s.replace(/ +(?= )/g,'')
 const matchLeftNonGreedy = (str, startChar, endChar) => chain(str.match(new RegExp(`${startChar}(.*?)${endChar}`)))
     .next(m => m && m.length > 0
@@ -85,7 +76,7 @@ const getEdgeDesc = metadata => (!metadata || metadata.name != 'edge') ? null :
 const removeAlias = (query='') => query.split(':').slice(-1).join('') 
 
 /**
- * [description]
+ * Adds the details of a query property that are defined in the schema (i.e. its type, its metadata and its edge).
  * 
  * @param  {Object} queryProp       Property object from the QueryAST
  * @param  {Object} parentTypeAST   Schema type object from the SchemaAST that is assumed to contain the queryProp
@@ -187,11 +178,14 @@ const parseFragments = (fragments = []) => fragments.length == 0 ? null : fragme
 
 const _graphQlQueryTypes = { 'query': 'Query', 'mutation': 'Mutation', 'subscription': 'Subscription' }
 /**
- * [description]
- * @param  {[type]}  query          [description]
- * @param  {[type]}  schemaAST      [description]
- * @param  {Boolean} options.defrag [description]
- * @return {[type]}                 [description]
+ * Parses a GraphQL query and enriches each of its properties with the details defined in the schema (e.g. metadata).
+ * 
+ * @param  {String}  query          GraphQL query (e.g. 'query { posts { id author } }').
+ * @param  {String}  operationName  Optional. Name of the operation to parse if the query defines several operations.
+ * @param  {Array}   schemaAST      Schema objects returned by 'getSchemaAST'.
+ * @param  {Boolean} options.defrag Default false. If true, the fragments are replaced by their explicit definition.
+ * @return {Object}                 QueryAST (e.g. { type: 'query', name: null, variables: null, properties: [...], 
+ *                                  fragments: [...] }). Throws if the query defines no such operation.
  */
 const getQueryAST = (query, operationName, schemaAST, options={}) => {
     const parsedQuery = (parse(query) || {}).definitions || []
@@ -393,12 +387,9 @@ const replaceFragmentsInProperties = (properties, fragments=[]) => {
         return null
 }
 
-const newShortId = () => shortid.generate().replace(/-/g, 'r').replace(/_/g, '9')
-
 module.exports = {
     chain,
     log,
-    escapeGraphQlSchema,
     removeMultiSpaces,
     matchLeftNonGreedy,
     getQueryAST,
@@ -407,6 +398,5 @@ module.exports = {
         start: startTime,
         log: logTime
     },
-    newShortId,
     isScalarType
 }
\ No newline at end of file
@@ -28,6 +28,14 @@ var runtest = function(s2s, assert) {
   var getQueryAST = s2s.getQueryAST
   var buildQuery = s2s.buildQuery
   var isTypeGeneric = s2s.isTypeGeneric
+  var getOriginalPosition = s2s.getOriginalPosition
+  var validateSchema = s2s.validateSchema
+  var loadSchema = s2s.loadSchema
+  var getResolveTypes = s2s.getResolveTypes
+  var createTranspiler = s2s.createTranspiler
+  var transpileToDocument = s2s.transpileToDocument
+  var buildEnrichedSchema = s2s.buildEnrichedSchema
+  var getGenericAlias = s2s.getGenericAlias
 
   describe('graphqls2s', () => {
     describe('#transpileSchema', () => {
@@ -128,7 +136,7 @@ var runtest = function(s2s, assert) {
             data: [Post]
           }
           `
-          var output = transpileSchema(schema)
+          var output = transpileSchema(schema, { allowAliasEval: true })
           var answer = compressString(output)
           var correct = compressString(schema_output)
           assert.equal(answer,correct)
@@ -288,7 +296,7 @@ var runtest = function(s2s, assert) {
           }
           `
 
-          var output = transpileSchema(schema)
+          var output = transpileSchema(schema, { allowAliasEval: true })
           var answer = compressString(output)
           var correct = compressString(schema_output)
           assert.equal(answer,correct)
@@ -651,181 +659,794 @@ var runtest = function(s2s, assert) {
           var correct = compressString(schema_output)
           assert.equal(answer,correct)
         })
-      })
-      describe('METADATA', () => {
-        it('01 - Should remove any metadata from the GraphQL schema so it can be compiled by Graphql.js.', () => {
-          var output = transpileSchema(`
-          @node
-          type Brand {
+        it('05 - Should support constraints on generic parameters.', () => {
+          var schema = `
+          interface Node {
             id: ID!
-            name: String
-            @edge('<-[ABOUT]-')
-            posts: [Post]
           }
-
-          @miracle
-          input User {
-            posts: [Post]
+          type Timestamped {
+            created: String
           }
-          `)
-          var answer = compressString(output)
-          var correct = compressString(`
-          type Brand {
+          type Post inherits Timestamped implements Node {
             id: ID!
-            name: String
-            posts: [Post]
           }
+          input Filter<T: scalar> {
+            eq: T
+          }
+          type Paged<T: Node & Timestamped> {
+            data: [T]
+          }
+          type Query {
+            posts(filter: Filter<String>): Paged<Post>
+          }
+          `
 
-          input User {
-            posts: [Post]
+          var schema_output = `
+          interface Node {
+            id: ID!
           }
-          `)
+          type Timestamped {
+            created: String
+          }
+          type Post implements Node {
+            id: ID!
+            created: String
+          }
+          type Query {
+            posts(filter: FilterString): PagedPost
+          }
+          input FilterString {
+            eq: String
+          }
+          type PagedPost {
+            data: [Post]
+          }
+          `
+
+          var output = transpileSchema(schema)
+          var answer = compressString(output)
+          var correct = compressString(schema_output)
           assert.equal(answer,correct)
         })
-      })
-      describe('COMMENTS', () => {
-        it('01 - Should successfully transpile the schema even when there are complex markdown comments containing code blocks.', () => {
+        it('06 - Should report the generic types that do not satisfy their constraints where they are used.', () => {
+          var schema = 'interface Node {\n' +
+          '  id: ID!\n' +
+          '}\n' +
+          'enum Color {\n' +
+          '  RED\n' +
+          '}\n' +
+          'type Tag {\n' +
+          '  name: String\n' +
+          '}\n' +
+          'input Filter<T: scalar> {\n' +
+          '  eq: T\n' +
+          '}\n' +
+          'type Paged<T: Node> {\n' +
+          '  data: [T]\n' +
+          '}\n' +
+          'type Query {\n' +
+          '  tags(filter: Filter<Color>): Paged<Tag>\n' +
+          '}'
+
+          assert.throws(() => transpileSchema(schema), 'Schema error: Type \'Color\' does not satisfy the constraint \'T: scalar\' of generic type Filter<T>.')
+          var errors = validateSchema(schema)
+          assert.equal(errors.length, 2, '01')
+          assert.equal(errors[0].message, 'Type \'Tag\' does not satisfy the constraint \'T: Node\' of generic type Paged<T>.', '02')
+          assert.deepEqual(errors[0].path, ['Query', 'tags'], '03')
+          assert.deepEqual(errors[0].loc.start, { line: 17, column: 3 }, '04')
+          assert.equal(errors[1].code, 'GENERIC_CONSTRAINT_VIOLATION', '05')
+          assert.deepEqual(errors[1].path, ['Query', 'tags', 'filter'], '06')
+          assert.deepEqual(errors[1].loc.start, { line: 17, column: 8 }, '07')
+        })
+        it('07 - Should support default type arguments.', () => {
           var schema = `
-          # ### Page - Pagination Metadata
-          # The Page object represents metadata about the size of the dataset returned. It helps with pagination.
-          # Example:
-          #
-          # \`\`\`js
-          # getData(first: 100, skip: 200)
-          # \`\`\`
-          # Skips the first 200 items, and gets the next 100.
-          #
-          # To help represent this query using pages, GraphHub adds properties like _current_ and _total_. In the
-          # example above, the returned Page object could be:
-          #
-          # \`\`\`js
-          # {
-          # first: 100,
-          # skip: 200,
-          # current: 3,
-          # total: {
-          #   size: 1000,
-          #   pages: 10
-          # }
-          # }
-          # \`\`\`
-          type Page {
-            # The pagination parameter sent in the query (type, input {})
-            first: Int!
-
-            # The pagination parameter sent in the query
-            skip: Int!
-
-            # The convertion from 'first' and 'after' in terms of the current page
-            # (e.g. { first: 100, after: 200 } -> current: 3).
-              current: Int!
+          type Error {
+            message: String
+          }
+          type User {
+            id: ID
+          }
+          type Result<T, E = Error> {
+            data: T
+            error: E
+          }
+          type Pair<A, B = A> {
+            first: A
+            second: B
+          }
+          @alias((T,E) => T + 'Or' + E)
+          type Either<T, E = Error> {
+            left: T
+            right: E
+          }
+          type Query {
+            user: Result<User>
+            sameUser: Result<User,Error>
+            pair: Pair<User>
+            either(input: Result<ID>): Either<User>
+          }
+          `
 
-              # Inspect the total size of your dataset ignoring pagination.
-              total: DatasetSize
+          var schema_output = `
+          type Error {
+            message: String
+          }
+          type User {
+            id: ID
+          }
+          type Query {
+            user: ResultUserError
+            sameUser: ResultUserError
+            pair: PairUserUser
+            either(input: ResultIDError): UserOrError
+          }
+          type ResultIDError {
+            data: ID
+            error: Error
+          }
+          type ResultUserError {
+            data: User
+            error: Error
+          }
+          type PairUserUser {
+            first: User
+            second: User
           }
+          type UserOrError {
+            left: User
+            right: Error
+          }
+          `
 
-          # ### DatasetSize - Pagination Metadata
-          # Used in the Page object to describe the total number of pages available.
-          type DatasetSize {
-            size: Int!
-            pages: Int!
-          }}
+          var output = transpileSchema(schema, { allowAliasEval: true })
+          var answer = compressString(output)
+          var correct = compressString(schema_output)
+          assert.equal(answer,correct, '01')
+          assert.throws(() => transpileSchema('type Result<T = ID, E> { data: T }'), 
+            'Schema error: Generic parameter \'E\' must have a default type because it follows a parameter with a default type at line 1, column 21.')
+        })
+        it('08 - Should support nested and wrapped generic arguments.', () => {
+          var schema = `
+          type User {
+            id: ID
+          }
+          type Tag {
+            name: String
+          }
+          @alias((T) => T + 'Edge')
+          type Edge<T> {
+            node: T
+          }
+          type Paged<T> {
+            data: [T]
+          }
+          type Map<K,V> {
+            key: K
+            value: V
+          }
+          type Connection<T> {
+            edges: [Edge<T>!]!
+          }
+          type Query {
+            users: Paged<Edge<User>>
+            tags: Map<String, [Tag!]!>
+            pages: [Paged<User>!]!
+            connection(first: Paged<Edge<Tag>>): Connection<User>
+          }
           `
+
           var schema_output = `
-          # ### Page - Pagination Metadata
-          # The Page object represents metadata about the size of the dataset returned. It helps with pagination.
-          # Example:
-          #
-          # \`\`\`js
-          # getData(first: 100, skip: 200)
-          # \`\`\`
-          # Skips the first 200 items, and gets the next 100.
-          #
-          # To help represent this query using pages, GraphHub adds properties like _current_ and _total_. In the
-          # example above, the returned Page object could be:
-          #
-          # \`\`\`js
-          # {
-          # first: 100,
-          # skip: 200,
-          # current: 3,
-          # total: {
-          #   size: 1000,
-          #   pages: 10
-          # }
-          # }
-          # \`\`\`
-          type Page {
-              # The pagination parameter sent in the query (type, input {})
-              first: Int!
-              # The pagination parameter sent in the query
-              skip: Int!
-              # The convertion from 'first' and 'after' in terms of the current page
-              # (e.g. { first: 100, after: 200 } -> current: 3).
-              current: Int!
-              # Inspect the total size of your dataset ignoring pagination.
-              total: DatasetSize
+          type User {
+            id: ID
+          }
+          type Tag {
+            name: String
+          }
+          type Query {
+            users: PagedUserEdge
+            tags: MapStringTagNonNullListNonNull
+            pages: [PagedUser!]!
+            connection(first: PagedTagEdge): ConnectionUser
+          }
+          type TagEdge {
+            node: Tag
+          }
+          type PagedTagEdge {
+            data: [TagEdge]
           }
+          type UserEdge {
+            node: User
+          }
+          type PagedUserEdge {
+            data: [UserEdge]
+          }
+          type MapStringTagNonNullListNonNull {
+            key: String
+            value: [Tag!]!
+          }
+          type PagedUser {
+            data: [User]
+          }
+          type ConnectionUser {
+            edges: [UserEdge!]!
+          }
+          `
 
-          # ### DatasetSize - Pagination Metadata
-          # Used in the Page object to describe the total number of pages available.
-          type DatasetSize {
-              size: Int!
-              pages: Int!
-          }`
-          var output = transpileSchema(schema)
+          var output = transpileSchema(schema, { allowAliasEval: true })
           var answer = compressString(output)
           var correct = compressString(schema_output)
           assert.equal(answer,correct)
         })
-        it('02 - Should successfully transpile the schema even when there are complex markdown comments containing code blocks from inherited types (bug #15).', () => {
+        it('09 - Should support generic unions and generic interfaces.', () => {
           var schema = `
-          # The most generic type of item. See also: schema.org/Thing
-          type Thing {
-            description: String
-            identifier: ID!
-            name: String
-            url: String
+          interface Node {
+            id: ID
           }
-
-          # A person (alive, dead, undead, or fictional). See also: schema.org/Person
-          type Person inherits Thing {
-            # Person Blabla
-            email: String
-            familyName: String
-            givenName: String
+          type User {
+            id: ID
+          }
+          type NotFound {
+            message: String
+          }
+          union Result<T> = T | NotFound
+          interface Collection<T> implements Node {
+            id: ID
+            items: [T]
+          }
+          type UserList implements Collection<User> {
+            id: ID
+            items: [User]
+          }
+          type Query {
+            user: Result<User>
+            users: Collection<User>
           }
           `
 
           var schema_output = `
-          # The most generic type of item. See also: schema.org/Thing
-          type Thing {
-            description: String
-            identifier: ID!
-            name: String
-            url: String
+          interface Node {
+            id: ID
+          }
+          type User {
+            id: ID
+          }
+          type NotFound {
+            message: String
+          }
+          type UserList implements CollectionUser, Node {
+            id: ID
+            items: [User]
+          }
+          type Query {
+            user: ResultUser
+            users: CollectionUser
+          }
+          interface CollectionUser implements Node {
+            id: ID
+            items: [User]
           }
+          union ResultUser = User | NotFound
+          `
 
-          # A person (alive, dead, undead, or fictional). See also: schema.org/Person
-          type Person {
-            # Person Blabla
-            email: String
-            familyName: String
-            givenName: String
-            description: String
-            identifier: ID!
-            name: String
-            url: String
-          }`
           var output = transpileSchema(schema)
-          //console.log(output)
           var answer = compressString(output)
           var correct = compressString(schema_output)
           assert.equal(answer,correct)
         })
-        it('03 - Add management of description', () => {
+        it('10 - Should support generic arguments in the fields of a generic type.', () => {
           var schema = `
-            # My comment
+          type User {
+            id: ID
+          }
+          input Filter<T> {
+            eq: T
+          }
+          input OrderBy<T> {
+            field: T
+            desc: Boolean
+          }
+          type Repo<T> {
+            find(filter: Filter<T>, orderBy: [OrderBy<T>], first: Int = 10): [T]
+            byId(id: T!): T
+          }
+          type Query {
+            users: Repo<User>
+          }
+          `
+
+          var schema_output = `
+          type User {
+            id: ID
+          }
+          type Query {
+            users: RepoUser
+          }
+          input FilterUser {
+            eq: User
+          }
+          input OrderByUser {
+            field: User
+            desc: Boolean
+          }
+          type RepoUser {
+            find(filter: FilterUser, orderBy: [OrderByUser], first: Int = 10): [User]
+            byId(id: User!): User
+          }
+          `
+
+          var output = transpileSchema(schema)
+          var answer = compressString(output)
+          var correct = compressString(schema_output)
+          assert.equal(answer,correct)
+        })
+        it('11 - Should support the Pick, Omit, Partial and Required built-in generic types.', () => {
+          var schema = `
+          type User {
+            id: ID!
+            name: String
+            password: String
+          }
+          input UserInput {
+            name: String!
+            email: String!
+          }
+          @alias((T, K) => T + 'Summary')
+          type Pick<T, K>
+          type Query {
+            summary: Pick<User, "id" | "name">
+            safe: Omit<User, "password">
+            required: Required<User>
+            update(input: Partial<UserInput>): User
+          }
+          `
+
+          var schema_output = `
+          type User {
+            id: ID!
+            name: String
+            password: String
+          }
+          type Query {
+            summary: UserSummary
+            safe: OmitUserPassword
+            required: RequiredUser
+            update(input: PartialUserInput): User
+          }
+          input UserInput {
+            name: String!
+            email: String!
+          }
+          input PartialUserInput {
+            name: String
+            email: String
+          }
+          type UserSummary {
+            id: ID!
+            name: String
+          }
+          type OmitUserPassword {
+            id: ID!
+            name: String
+          }
+          type RequiredUser {
+            id: ID!
+            name: String!
+            password: String!
+          }
+          `
+
+          var output = transpileSchema(schema, { allowAliasEval: true })
+          var answer = compressString(output)
+          var correct = compressString(schema_output)
+          assert.equal(answer,correct)
+          assert.throws(() => transpileSchema(schema.replace('"id" | "name"', '"id" | "email"'), { allowAliasEval: true }), 
+            'Schema error: Field \'email\' cannot be found in type User.')
+        })
+        it('12 - Should support alias templates and naming strategies, and only evaluate JavaScript aliases when allowed.', () => {
+          var schema = `
+          type User {
+            id: ID!
+          }
+          type Product {
+            id: ID!
+          }
+          @alias("{T}s")
+          type Paged<T> {
+            data: [T]
+          }
+          @alias("{1}{0}Page")
+          type Page<T,U> {
+            first: T
+            second: U
+          }
+          type Edge<T> {
+            node: T
+          }
+          type Query {
+            users: Paged<User>
+            page: Page<User,Product>
+            edge: Edge<User>
+          }
+          `
+
+          var schema_output = `
+          type User {
+            id: ID!
+          }
+          type Product {
+            id: ID!
+          }
+          type Query {
+            users: Users
+            page: ProductUserPage
+            edge: Gen_Edge_User
+          }
+          type Users {
+            data: [User]
+          }
+          type ProductUserPage {
+            first: User
+            second: Product
+          }
+          type Gen_Edge_User {
+            node: User
+          }
+          `
+
+          var output = transpileSchema(schema, { genericNaming: { prefix: 'Gen_', separator: '_' } })
+          assert.equal(compressString(output), compressString(schema_output))
+          var formatted = transpileSchema(schema, { genericNaming: function(name, argNames) { return argNames.join('') + name } })
+          assert.isOk(formatted.indexOf('edge: UserEdge') > 0)
+
+          var unsafe = schema.replace('@alias("{T}s")', '@alias((T) => T + \'s\')')
+          assert.throws(() => transpileSchema(unsafe), 'Schema error: \'@alias((T) => T + \'s\')\' on Paged<T> is a JavaScript function, which is only evaluated if the \'allowAliasEval\' option is true.')
+          assert.equal(compressString(transpileSchema(unsafe, { allowAliasEval: true })), compressString(transpileSchema(schema)))
+          var diagnostics = validateSchema(schema.replace('{1}{0}Page', '{V}Page'))
+          assert.equal(diagnostics.length, 1)
+          assert.equal(diagnostics[0].code, 'INVALID_ALIAS')
+          assert.equal(diagnostics[0].message, 'Invalid \'@alias("{V}Page")\' on Page<T,U>. Unknown placeholder \'{V}\'. Placeholders must be either a generic parameter (T, U) or its position (0 to 1).')
+          assert.deepEqual(diagnostics[0].path, ['Page<T,U>'])
+
+          assert.equal(getGenericAlias('("{T}s")', { genericParameters: ['T'] })('Paged<User>'), 'Users')
+          assert.equal(getGenericAlias('("{U}{T}Page")', { genericType: 'Page<T,U>' })('Page<User,Product>'), 'ProductUserPage')
+          assert.equal(getGenericAlias('("{0}s")')('Paged<User>'), 'Users')
+          assert.throws(() => getGenericAlias('("{T}s")'), 'Missing required argument. Either \'options.genericParameters\' (e.g. [\'T\']) or \'options.genericType\' (e.g. \'Paged<T>\') is required to use the generic parameters in the placeholders of \'("{T}s")\'.')
+        })
+        it('13 - Should deduplicate or report the generic types named after another type.', () => {
+          var schema = `
+          type User {
+            id: ID!
+          }
+          type PagedUser {
+            data: [User]
+          }
+          type Paged<T> {
+            data: [T]
+          }
+          @alias("{T}s")
+          type Page<T> {
+            data: [T]
+          }
+          @alias("{T}s")
+          type List<T> {
+            data: [T]
+          }
+          type Query {
+            paged: Paged<User>
+            page: Page<User>
+            list: List<User>
+          }
+          `
+
+          var schema_output = `
+          type User {
+            id: ID!
+          }
+          type PagedUser {
+            data: [User]
+          }
+          type Query {
+            paged: PagedUser
+            page: Users
+            list: Users
+          }
+          type Users {
+            data: [User]
+          }
+          `
+
+          var output = transpileSchema(schema)
+          assert.equal(compressString(output), compressString(schema_output))
+
+          var diagnostics = validateSchema(schema.replace('type Paged<T> {', 'type Paged<T> {\n total: Int').replace('type List<T> {\n            data', 'type List<T> {\n            items'))
+          assert.deepEqual(diagnostics.map(d => d.code), ['GENERIC_NAME_COLLISION', 'GENERIC_NAME_COLLISION'])
+          assert.equal(diagnostics[0].message, 'Type PagedUser is declared in the schema but is also generated from generic type Paged<User>, and they define different types. Use \'@alias\' to name Paged<User> differently.')
+          assert.deepEqual(diagnostics[0].path, ['PagedUser'])
+          assert.equal(diagnostics[1].message, 'Generic types Page<User> and List<User> are both named \'Users\' but define different types. Use \'@alias\' to name them differently.')
+          assert.deepEqual(diagnostics[1].path, ['Query', 'list'])
+        })
+        it('14 - Should satisfy the constraints with generic types whose definition inherits from the constraint.', () => {
+          var schema = `
+          interface Node {
+            id: ID
+          }
+          type User implements Node {
+            id: ID
+          }
+          type Edge<T> inherits Node {
+            node: T
+          }
+          type Paged<T: Node> {
+            data: [T]
+          }
+          type Query {
+            users: Paged<Edge<User>>
+          }
+          `
+
+          var schema_output = `
+          interface Node {
+            id: ID
+          }
+          type User implements Node {
+            id: ID
+          }
+          type Query {
+            users: PagedEdgeUser
+          }
+          type EdgeUser {
+            node: User
+            id: ID
+          }
+          type PagedEdgeUser {
+            data: [EdgeUser]
+          }
+          `
+
+          var output = transpileSchema(schema)
+          assert.equal(compressString(output), compressString(schema_output), '01')
+          assert.throws(() => transpileSchema(schema.replace('type Edge<T> inherits Node {', 'type Edge<T> {')), 'Schema error: Type \'Edge<User>\' does not satisfy the constraint \'T: Node\' of generic type Paged<T>.')
+        })
+      })
+      describe('METADATA', () => {
+        it('01 - Should remove any metadata from the GraphQL schema so it can be compiled by Graphql.js.', () => {
+          var output = transpileSchema(`
+          @node
+          type Brand {
+            id: ID!
+            name: String
+            @edge('<-[ABOUT]-')
+            posts: [Post]
+          }
+
+          @miracle
+          input User {
+            posts: [Post]
+          }
+          `)
+          var answer = compressString(output)
+          var correct = compressString(`
+          type Brand {
+            id: ID!
+            name: String
+            posts: [Post]
+          }
+
+          input User {
+            posts: [Post]
+          }
+          `)
+          assert.equal(answer,correct)
+        })
+        it('02 - Should merge the inherited metadata based on the \'metadataMerge\' option.', () => {
+          var schema = `
+            @auth(roles: ["admin"], cache: { ttl: 10, scope: "public" })
+            type Node {
+              @auth(roles: ["admin"])
+              id: ID!
+            }
+            @auth(roles: ["teacher"], cache: { ttl: 20 })
+            type Person inherits Node {
+              @auth(roles: ["self"])
+              id: ID!
+            }
+            type Student inherits Person {
+              nickname: String
+            }`
+
+          var getArgs = (ASTs, name) => ASTs.find(x => x.name == name).metadata.args
+          var appended = getSchemaAST(schema, { metadataMerge: { auth: 'append' } })
+          assert.deepEqual(getArgs(appended, 'Student').roles, ['admin', 'teacher'])
+          assert.deepEqual(appended.find(x => x.name == 'Person').blockProps[0].details.metadata.args, { roles: ['admin', 'self'] })
+
+          var merged = getSchemaAST(schema, { metadataMerge: { auth: 'deep-merge' } })
+          assert.deepEqual(getArgs(merged, 'Student'), { roles: ['teacher'], cache: { ttl: 20, scope: 'public' } })
+
+          var overridden = getSchemaAST(schema)
+          assert.equal(overridden.find(x => x.name == 'Student').metadata.body, '(roles: ["teacher"], cache: { ttl: 20 })')
+          assert.isUndefined(getArgs(overridden, 'Student'))
+
+          var multiple = getSchemaAST(schema + `
+            @auth(roles: ["guest"])
+            type Visitor {
+              ip: String
+            }
+            type Monitor inherits Node, Visitor {
+              level: Int
+            }`, { metadataMerge: { auth: 'append' } })
+          assert.deepEqual(getArgs(multiple, 'Monitor'), { roles: ['admin', 'guest'], cache: [{ ttl: 10, scope: 'public' }] })
+        })
+        it('03 - Should merge the metadata inherited over more than two levels.', () => {
+          var schema = `
+            @auth(roles: ["a"], cache: { ttl: 10 })
+            type A {
+              @auth(roles: ["a"])
+              id: ID!
+            }
+            @auth(roles: ["b"], cache: { scope: "public" })
+            type B inherits A {
+              @auth(roles: ["b"])
+              id: ID!
+            }
+            @auth(roles: ["c"])
+            type C inherits B {
+              @auth(roles: ["c"])
+              id: ID!
+            }`
+
+          var getType = (ASTs, name) => ASTs.find(x => x.name == name)
+          var appended = getSchemaAST(schema, { metadataMerge: { auth: 'append' } })
+          assert.deepEqual(getType(appended, 'C').metadata.args, { roles: ['a', 'b', 'c'], cache: [{ ttl: 10 }, { scope: 'public' }] }, '01')
+          assert.deepEqual(getType(appended, 'C').blockProps[0].details.metadata.args, { roles: ['a', 'b', 'c'] }, '02')
+
+          var merged = getSchemaAST(schema, { metadataMerge: { auth: 'deep-merge' } })
+          assert.deepEqual(getType(merged, 'C').metadata.args, { roles: ['c'], cache: { ttl: 10, scope: 'public' } }, '03')
+          assert.deepEqual(getType(merged, 'C').blockProps[0].details.metadata.args, { roles: ['c'] }, '04')
+        })
+      })
+      describe('COMMENTS', () => {
+        it('01 - Should successfully transpile the schema even when there are complex markdown comments containing code blocks.', () => {
+          var schema = `
+          # ### Page - Pagination Metadata
+          # The Page object represents metadata about the size of the dataset returned. It helps with pagination.
+          # Example:
+          #
+          # \`\`\`js
+          # getData(first: 100, skip: 200)
+          # \`\`\`
+          # Skips the first 200 items, and gets the next 100.
+          #
+          # To help represent this query using pages, GraphHub adds properties like _current_ and _total_. In the
+          # example above, the returned Page object could be:
+          #
+          # \`\`\`js
+          # {
+          # first: 100,
+          # skip: 200,
+          # current: 3,
+          # total: {
+          #   size: 1000,
+          #   pages: 10
+          # }
+          # }
+          # \`\`\`
+          type Page {
+            # The pagination parameter sent in the query (type, input {})
+            first: Int!
+
+            # The pagination parameter sent in the query
+            skip: Int!
+
+            # The convertion from 'first' and 'after' in terms of the current page
+            # (e.g. { first: 100, after: 200 } -> current: 3).
+              current: Int!
+
+              # Inspect the total size of your dataset ignoring pagination.
+              total: DatasetSize
+          }
+
+          # ### DatasetSize - Pagination Metadata
+          # Used in the Page object to describe the total number of pages available.
+          type DatasetSize {
+            size: Int!
+            pages: Int!
+          }}
+          `
+          var schema_output = `
+          # ### Page - Pagination Metadata
+          # The Page object represents metadata about the size of the dataset returned. It helps with pagination.
+          # Example:
+          #
+          # \`\`\`js
+          # getData(first: 100, skip: 200)
+          # \`\`\`
+          # Skips the first 200 items, and gets the next 100.
+          #
+          # To help represent this query using pages, GraphHub adds properties like _current_ and _total_. In the
+          # example above, the returned Page object could be:
+          #
+          # \`\`\`js
+          # {
+          # first: 100,
+          # skip: 200,
+          # current: 3,
+          # total: {
+          #   size: 1000,
+          #   pages: 10
+          # }
+          # }
+          # \`\`\`
+          type Page {
+              # The pagination parameter sent in the query (type, input {})
+              first: Int!
+              # The pagination parameter sent in the query
+              skip: Int!
+              # The convertion from 'first' and 'after' in terms of the current page
+              # (e.g. { first: 100, after: 200 } -> current: 3).
+              current: Int!
+              # Inspect the total size of your dataset ignoring pagination.
+              total: DatasetSize
+          }
+
+          # ### DatasetSize - Pagination Metadata
+          # Used in the Page object to describe the total number of pages available.
+          type DatasetSize {
+              size: Int!
+              pages: Int!
+          }`
+          var output = transpileSchema(schema)
+          var answer = compressString(output)
+          var correct = compressString(schema_output)
+          assert.equal(answer,correct)
+        })
+        it('02 - Should successfully transpile the schema even when there are complex markdown comments containing code blocks from inherited types (bug #15).', () => {
+          var schema = `
+          # The most generic type of item. See also: schema.org/Thing
+          type Thing {
+            description: String
+            identifier: ID!
+            name: String
+            url: String
+          }
+
+          # A person (alive, dead, undead, or fictional). See also: schema.org/Person
+          type Person inherits Thing {
+            # Person Blabla
+            email: String
+            familyName: String
+            givenName: String
+          }
+          `
+
+          var schema_output = `
+          # The most generic type of item. See also: schema.org/Thing
+          type Thing {
+            description: String
+            identifier: ID!
+            name: String
+            url: String
+          }
+
+          # A person (alive, dead, undead, or fictional). See also: schema.org/Person
+          type Person {
+            # Person Blabla
+            email: String
+            familyName: String
+            givenName: String
+            description: String
+            identifier: ID!
+            name: String
+            url: String
+          }`
+          var output = transpileSchema(schema)
+          //console.log(output)
+          var answer = compressString(output)
+          var correct = compressString(schema_output)
+          assert.equal(answer,correct)
+        })
+        it('03 - Add management of description', () => {
+          var schema = `
+            # My comment
 
             """
             Description with multiple 
@@ -1082,7 +1703,7 @@ var runtest = function(s2s, assert) {
           }
           `
 
-          var output = transpileSchema(schema)
+          var output = transpileSchema(schema, { allowAliasEval: true })
           var answer = compressString(output)
           var correct = compressString(schema_output)
           assert.equal(answer,correct)
@@ -1443,71 +2064,461 @@ var runtest = function(s2s, assert) {
               option1
               option2
             }
-
-            type Node {
-              id: ID
+
+            type Node {
+              id: ID
+            }
+
+            type BaseGeneric<T> inherits Node  {
+              enumeratedThing: T!
+              otherProperty: String
+            }
+
+            type Person {
+              name: String
+            }
+
+            type SomethingElse inherits Person  {
+              data: BaseGeneric<Int>
+            }
+
+            type FinalType inherits BaseGeneric<MyEnum> {
+              someOtherProperty: String!  
+            }`
+
+          var schema_output_02 = `
+            type Node {
+              id: ID
+            }
+
+            type Person {
+              name: String
+            }
+
+            type SomethingElse {
+              data: BaseGenericInt
+              name: String
+            }
+
+            type FinalType {
+              someOtherProperty: String!
+              enumeratedThing: MyEnum!
+              otherProperty: String
+              id: ID
+            }
+            
+            enum MyEnum {
+              option1
+              option2
+            }
+
+            type BaseGenericInt {
+              enumeratedThing: Int!
+              otherProperty: String
+              id: ID
+            }
+
+            type BaseGenericMyEnum {
+              enumeratedThing: MyEnum!
+              otherProperty: String
+              id: ID
+            }`
+
+
+          var output_02 = transpileSchema(schema_02)
+          var answer_02 = compressString(output_02)
+          var correct_02 = compressString(schema_output_02)
+          assert.equal(answer_02,correct_02)
+        })
+        it('10 - Should support excluding and renaming inherited fields.', () => {
+          var schema = `
+            type User {
+              id: ID!
+              email: String
+              passwordHash: String
+            }
+            type PublicUser inherits User without { passwordHash, email } {
+              avatar: String
+            }
+            type Contact inherits User without { passwordHash } { email as contactEmail } {
+              phone: String
+            }`
+
+          var schema_output = `
+            type User {
+              id: ID!
+              email: String
+              passwordHash: String
+            }
+            type PublicUser {
+              avatar: String
+              id: ID!
+            }
+            type Contact {
+              phone: String
+              id: ID!
+              contactEmail: String
+            }`
+
+          var output = transpileSchema(schema)
+          var answer = compressString(output)
+          var correct = compressString(schema_output)
+          assert.equal(answer,correct)
+
+          var publicUser = getSchemaAST(schema).find(x => x.name == 'PublicUser')
+          assert.deepEqual(publicUser.droppedFields, [{ name: 'passwordHash', superClass: 'User' }, { name: 'email', superClass: 'User' }])
+          assert.throws(() => transpileSchema(schema + '\ntype Admin inherits User without { password } { level: Int }'), 
+            'Schema error: Field \'password\' cannot be found in type User.')
+
+          var output_02 = transpileSchema(`
+            type User {
+              id: ID!
+              email: String
+            }
+            type Contact inherits User { email as contactEmail }
+            type Visitor inherits User without { email }
+            type Query {
+              contacts: [Contact]
+            }`)
+          assert.equal(compressString(output_02), compressString(`
+            type User {
+              id: ID!
+              email: String
+            }
+            type Contact {
+              id: ID!
+              contactEmail: String
+            }
+            type Visitor {
+              id: ID!
+            }
+            type Query {
+              contacts: [Contact]
+            }`))
+        })
+        it('11 - Should derive inputs from types.', () => {
+          var schema = `
+            enum Role { ADMIN USER }
+            type Address {
+              street: String!
+              city: String
+            }
+            type User {
+              id: ID!
+              name: String! @deprecated
+              role: Role
+              tags: [String!]!
+              addresses: [Address!]
+              posts(first: Int): [String]
+              password: String
+            }
+            input AddressInput from Address
+            input UserInput from User without { id, password } {
+              notify: Boolean
+            }`
+
+          var schema_output = `
+            type Address {
+              street: String!
+              city: String
+            }
+            type User {
+              id: ID!
+              name: String! @deprecated
+              role: Role
+              tags: [String!]!
+              addresses: [Address!]
+              posts(first: Int): [String]
+              password: String
+            }
+            input AddressInput {
+              street: String!
+              city: String
+            }
+            input UserInput {
+              name: String!
+              role: Role
+              tags: [String!]!
+              addresses: [AddressInput!]
+              notify: Boolean
+            }
+            enum Role {
+              ADMIN
+              USER
+            }`
+
+          var output = transpileSchema(schema)
+          var answer = compressString(output)
+          var correct = compressString(schema_output)
+          assert.equal(answer,correct)
+
+          assert.throws(() => transpileSchema('type Address { city: String }\ntype User { address: Address }\ninput UserInput from User'), 
+            /Field 'address' of type Address cannot be mapped to an input in input UserInput/)
+        })
+        it('12 - Should emit abstract types as interfaces implemented by the types inheriting from them.', () => {
+          var schema = `
+            abstract Node {
+              id: ID!
+            }
+            abstract Person inherits Node {
+              name: String
+            }
+            type Student inherits Person {
+              nickname: String
+            }
+            type Teacher inherits Person {
+              subject: String
+            }`
+
+          var schema_output = `
+            interface Node {
+              id: ID!
+            }
+            interface Person implements Node {
+              name: String
+              id: ID!
+            }
+            type Student implements Person, Node {
+              nickname: String
+              name: String
+              id: ID!
+            }
+            type Teacher implements Person, Node {
+              subject: String
+              name: String
+              id: ID!
+            }`
+
+          var output = transpileSchema(schema, { abstractsAsInterfaces: true })
+          var answer = compressString(output)
+          var correct = compressString(schema_output)
+          assert.equal(answer,correct)
+
+          var defaultOutput = transpileSchema(schema)
+          assert.equal(compressString(defaultOutput), compressString(`
+            type Student {
+              nickname: String
+              name: String
+              id: ID!
+            }
+            type Teacher {
+              subject: String
+              name: String
+              id: ID!
+            }`))
+
+          var resolveTypes = getResolveTypes(schema, { abstractsAsInterfaces: true })
+          assert.deepEqual(Object.keys(resolveTypes), ['Node', 'Person'])
+          assert.equal(resolveTypes.Person.__resolveType({ id: 1, name: 'Carry', subject: 'Maths' }), 'Teacher')
+          assert.equal(resolveTypes.Node.__resolveType({ __typename: 'Student', id: 1 }), 'Student')
+          assert.equal(resolveTypes.Node.__resolveType({ age: 12 }), null)
+        })
+        it('13 - Should implement the inherited interfaces and their ancestors when \'implementInheritedInterfaces\' is true.', () => {
+          var schema = `
+            interface Node {
+              id: ID!
+            }
+            interface Named {
+              name: String
+            }
+            interface Person inherits Node {
+              name: String
+            }
+            type Human inherits Person implements Named {
+              age: Int
+            }
+            type Student inherits Human {
+              nickname: String
+            }`
+
+          var schema_output = `
+            interface Node {
+              id: ID!
+            }
+            interface Named {
+              name: String
+            }
+            interface Person implements Node {
+              name: String
+              id: ID!
+            }
+            type Human implements Named, Person, Node {
+              age: Int
+              name: String
+              id: ID!
             }
+            type Student implements Named, Person, Node {
+              nickname: String
+              age: Int
+              name: String
+              id: ID!
+            }`
 
-            type BaseGeneric<T> inherits Node  {
-              enumeratedThing: T!
-              otherProperty: String
+          var output = transpileSchema(schema, { implementInheritedInterfaces: true })
+          var answer = compressString(output)
+          var correct = compressString(schema_output)
+          assert.equal(answer,correct)
+
+          var document = transpileToDocument(schema, { implementInheritedInterfaces: true })
+          assert.deepEqual(document.definitions[2].interfaces.map(i => i.name.value), ['Node'], '02')
+          assert.deepEqual(document.definitions[4].interfaces.map(i => i.name.value), ['Named', 'Person', 'Node'], '03')
+        })
+        it('14 - Should support enum and union inheritance.', () => {
+          var schema = `
+            type Person { name: String }
+            type Movie { title: String }
+            enum Role {
+              # Default role
+              USER
+              ADMIN @deprecated
             }
+            enum AdminRole inherits Role {
+              SUPERUSER
+            }
+            union MediaResult = Movie
+            union SearchResult inherits MediaResult = Person`
 
+          var schema_output = `
             type Person {
               name: String
             }
-
-            type SomethingElse inherits Person  {
-              data: BaseGeneric<Int>
+            type Movie {
+              title: String
+            }
+            enum Role {
+              # Default role
+              USER
+              ADMIN @deprecated
+            }
+            enum AdminRole {
+              SUPERUSER
+              # Default role
+              USER
+              ADMIN @deprecated
             }
+            union MediaResult = Movie
+            union SearchResult = Person | Movie`
 
-            type FinalType inherits BaseGeneric<MyEnum> {
-              someOtherProperty: String!  
-            }`
+          var output = transpileSchema(schema)
+          var answer = compressString(output)
+          var correct = compressString(schema_output)
+          assert.equal(answer,correct)
 
-          var schema_output_02 = `
-            type Node {
-              id: ID
+          assert.throws(() => transpileSchema(schema + '\nenum SuperRole inherits AdminRole { USER }'), 
+            'Schema error: Enum value \'USER\' is defined in both enum SuperRole and enum Role.')
+          assert.throws(() => transpileSchema(schema + '\nunion AnyResult inherits SearchResult = Movie'), 
+            'Schema error: Member \'Movie\' is included in both union AnyResult and union MediaResult.')
+        })
+        it('15 - Should detect inheritance cycles and resolve conflicting inherited fields based on the \'inheritanceConflicts\' option.', () => {
+          assert.throws(() => transpileSchema(`
+            type A inherits B { a: Int }
+            type B inherits C { b: Int }
+            type C inherits A { c: Int }`), 
+          'Schema error: Inheritance cycle detected: A -> B -> C -> A.')
+
+          var schema = `
+            type Person {
+              id: ID!
+              age: Int
             }
+            type Employee {
+              id: String
+              salary: Float
+            }
+            type Manager inherits Person, Employee {
+              reports: [Employee]
+            }`
 
+          var output = transpileSchema(schema)
+          assert.equal(compressString(output), compressString(`
             type Person {
-              name: String
+              id: ID!
+              age: Int
+            }
+            type Employee {
+              id: String
+              salary: Float
             }
+            type Manager {
+              reports: [Employee]
+              id: ID!
+              age: Int
+              salary: Float
+            }`))
 
-            type SomethingElse {
-              data: BaseGenericInt
+          var manager = getSchemaAST(schema, { inheritanceConflicts: 'last-wins' }).find(x => x.name == 'Manager')
+          assert.equal(manager.blockProps.find(p => p.details.name == 'id').value, 'id: String')
+          assert.deepEqual(manager.fieldSources, { reports: 'Manager', id: 'Employee', age: 'Person', salary: 'Employee' })
+
+          assert.throws(() => transpileSchema(schema, { inheritanceConflicts: 'error' }), 
+            'Schema error: Field \'id\' is inherited from both Person (\'id: ID!\') and Employee (\'id: String\') by type Manager.')
+        })
+        it('16 - Should record where each field comes from.', () => {
+          var schema = `
+            type Node {
+              id: ID!
+            }
+            type Person inherits Node {
+              id: ID!
               name: String
             }
-
-            type FinalType {
-              someOtherProperty: String!
-              enumeratedThing: MyEnum!
-              otherProperty: String
-              id: ID
+            type Student inherits Person {
+              nickname: String
             }
-            
-            enum MyEnum {
-              option1
-              option2
+            type Paged<T> inherits Node {
+              data: [T]
             }
+            type Query {
+              students: Paged<Student>
+            }`
 
-            type BaseGenericInt {
-              enumeratedThing: Int!
-              otherProperty: String
-              id: ID
+          var getProvenance = (ASTs, name) => ASTs.find(x => x.name == name).blockProps.map(p => ({
+            name: p.details.name,
+            declaredIn: p.declaredIn,
+            inheritedFrom: p.inheritedFrom,
+            overrides: p.overrides,
+            genericDefinition: p.genericDefinition || null
+          }))
+          var ASTs = getSchemaAST(schema)
+          assert.deepEqual(getProvenance(ASTs, 'Student'), [
+            { name: 'nickname', declaredIn: 'Student', inheritedFrom: [], overrides: null, genericDefinition: null },
+            { name: 'id', declaredIn: 'Person', inheritedFrom: ['Person'], overrides: ['Node'], genericDefinition: null },
+            { name: 'name', declaredIn: 'Person', inheritedFrom: ['Person'], overrides: null, genericDefinition: null }
+          ])
+          assert.deepEqual(getProvenance(ASTs, 'PagedStudent'), [
+            { name: 'data', declaredIn: 'Paged<T>', inheritedFrom: [], overrides: null, genericDefinition: 'Paged<T>' },
+            { name: 'id', declaredIn: 'Node', inheritedFrom: ['Node'], overrides: null, genericDefinition: 'Paged<T>' }
+          ])
+        })
+        it('17 - Should report the overridden fields that are not compatible with the inherited ones.', () => {
+          var schema = `
+            interface Person {
+              name: String
             }
-
-            type BaseGenericMyEnum {
-              enumeratedThing: MyEnum!
-              otherProperty: String
+            type Human implements Person {
+              name: String
+            }
+            type Node {
               id: ID
+              owner: Person
+              friends(first: Int): [Person]
+            }
+            type Student inherits Node {
+              id: ID!
+              owner: Human
+              friends(first: Int, after: String): [Human!]
+            }
+            type Teacher inherits Node {
+              id: String
+              friends(first: Int, subject: String!): [Person]
             }`
 
-
-          var output_02 = transpileSchema(schema_02)
-          var answer_02 = compressString(output_02)
-          var correct_02 = compressString(schema_output_02)
-          assert.equal(answer_02,correct_02)
+          var diagnostics = validateSchema(schema)
+          assert.deepEqual(diagnostics.map(d => [d.code, d.severity, d.path, d.message]), [
+            ['INVALID_OVERRIDE', 'warning', ['Teacher', 'id'], 'Field \'id\' of type Teacher cannot override field \'id\' of Node (type \'String\' is not compatible with type \'ID\').'],
+            ['INVALID_OVERRIDE', 'warning', ['Teacher', 'friends'], 'Field \'friends\' of type Teacher cannot override field \'friends\' of Node (additional argument \'subject\' cannot be required).']
+          ])
+          assert.doesNotThrow(() => transpileSchema(schema))
         })
       })
       describe('BUG FIXES', () => {
@@ -1599,6 +2610,630 @@ var runtest = function(s2s, assert) {
           assert.equal(answer,correct)
         })
       })
+      describe('PARSER', () => {
+        it('01 - Should support field arguments spanning multiple lines.', () => {
+          var schema = `
+          type Query {
+            search(
+              text: String = "hello, world",
+              first: Int = 10
+            ): [Post]
+          }
+          type Post {
+            id: ID
+          }`
+
+          var schema_output = `
+          type Query {
+            search(text: String = "hello, world", first: Int = 10): [Post]
+          }
+          type Post {
+            id: ID
+          }`
+
+          var output = transpileSchema(schema)
+          var answer = compressString(output)
+          var correct = compressString(schema_output)
+          assert.equal(answer,correct)
+        })
+        it('02 - Should not be fooled by brackets inside descriptions or by the characters used to escape the schema.', () => {
+          var schema = `
+          """
+          A } in the description ░ _t_
+          """
+          type Post {
+            "The } is not the end of the block"
+            id: ID
+            name_t_: String
+          }
+          type User {
+            posts: [Post]
+          }`
+
+          var schema_output = `
+          """
+          A } in the description ░ _t_
+          """
+          type Post {
+            "The } is not the end of the block"
+            id: ID
+            name_t_: String
+          }
+          type User {
+            posts: [Post]
+          }`
+
+          var output = transpileSchema(schema)
+          var answer = compressString(output)
+          var correct = compressString(schema_output)
+          assert.equal(answer,correct)
+        })
+        it('03 - Should report syntax errors with their location.', () => {
+          assert.throws(() => transpileSchema(`
+          type Post {
+            id: ID
+          `), 'Schema error: Expected a name but found end of schema at line 4, column 11.')
+          assert.throws(() => transpileSchema(`
+          type Post {
+            id: [ID
+          }`), 'Schema error: Expected \']\' but found \'}\' at line 4, column 11.')
+        })
+        it('04 - Should support default values on input fields and extensions without body.', () => {
+          var schema = `
+          input Filter {
+            first: Int = 1
+            tags: [String!]! = ["a"] @deprecated
+          }
+          input PostFilter inherits Filter {
+            text: String = "hello, world"
+          }
+          type Query {
+            posts(filter: PostFilter): [String]
+          }
+          extend type Query @key(fields: "posts")`
+
+          var schema_output = `
+          type Query {
+            posts(filter: PostFilter): [String]
+          }
+          extend type Query @key(fields: "posts")
+          input Filter {
+            first: Int = 1
+            tags: [String!]! = ["a"] @deprecated
+          }
+          input PostFilter {
+            text: String = "hello, world"
+            first: Int = 1
+            tags: [String!]! = ["a"] @deprecated
+          }`
+
+          var output = transpileSchema(schema)
+          var answer = compressString(output)
+          var correct = compressString(schema_output)
+          assert.equal(answer,correct)
+        })
+        it('05 - Should report the fields without type.', () => {
+          assert.throws(() => transpileSchema(`
+          type B {
+            c: Int Int
+          }`), 'Schema error: Expected \':\' but found \'}\' at line 4, column 11.')
+          assert.throws(() => transpileSchema(`
+          input I {
+            a
+          }`), 'Schema error: Expected \':\' but found \'}\' at line 4, column 11.')
+          assert.throws(() => transpileSchema(`
+          type Query {
+            users(first: Int) [String]
+          }`), 'Schema error: Expected \':\' but found \'[\' at line 3, column 31.')
+          assert.equal(compressString(transpileSchema('enum Role {\n  ADMIN @deprecated\n  USER\n}')), compressString('enum Role { ADMIN @deprecated USER }'))
+        })
+      })
+      describe('SOURCE MAPS', () => {
+        it('01 - Should return the transpiled schema with a source map when the \'sourceMap\' option is set.', () => {
+          var schema = 'type Node {\n' +
+          '  id: ID!\n' +
+          '}\n' +
+          '# A page of items.\n' +
+          'type Paged<T> {\n' +
+          '  data: [T]\n' +
+          '}\n' +
+          'type Post inherits Node {\n' +
+          '  title: String\n' +
+          '}\n' +
+          'type Query {\n' +
+          '  posts: Paged<Post>\n' +
+          '}'
+
+          var output = transpileSchema(schema, { sourceMap: { source: 'schema.graphql', file: 'schema.out.graphql' } })
+          assert.equal(output.sdl, transpileSchema(schema), '01')
+          assert.equal(output.map.version, 3, '02')
+          assert.equal(output.map.file, 'schema.out.graphql', '03')
+          assert.deepEqual(output.map.sources, ['schema.graphql'], '04')
+          assert.deepEqual(output.map.sourcesContent, [schema], '05')
+
+          var lines = output.sdl.split('\n')
+          var originalLine = function(text) {
+            var idx = lines.findIndex(function(l, i) { return l.trim() == text && i > lines.indexOf('type Post { ') })
+            return getOriginalPosition(output.map, { line: idx + 1 }).line
+          }
+          assert.equal(originalLine('id: ID!'), 2, '06')
+          assert.equal(originalLine('title: String'), 9, '07')
+          assert.equal(originalLine('# A page of items.'), 4, '08')
+          assert.equal(originalLine('type PagedPost {'), 5, '09')
+          assert.equal(originalLine('data: [Post]'), 6, '10')
+          assert.deepEqual(getOriginalPosition(output.map, { line: lines.indexOf('type Post { ') + 1 }), { source: 'schema.graphql', line: 8, column: 1 }, '11')
+        })
+        it('02 - Should map directive and schema definitions line by line.', () => {
+          var schema = 'directive @auth(\n' +
+          '  role: String\n' +
+          ') on FIELD_DEFINITION\n' +
+          'type Query {\n' +
+          '  name: String @auth(role: "admin")\n' +
+          '}\n' +
+          'schema {\n' +
+          '  query: Query\n' +
+          '}'
+
+          var output = transpileSchema(schema, { sourceMap: true })
+          var lines = output.sdl.split('\n')
+          assert.equal(output.map.sources[0], 'schema.graphql', '01')
+          assert.equal(getOriginalPosition(output.map, { line: lines.indexOf('  role: String') + 1 }).line, 2, '02')
+          assert.equal(getOriginalPosition(output.map, { line: lines.indexOf(') on FIELD_DEFINITION') + 1 }).line, 3, '03')
+          assert.equal(getOriginalPosition(output.map, { line: lines.indexOf('  query: Query') + 1 }).line, 8, '04')
+          assert.deepEqual(getOriginalPosition(output.map, { line: lines.indexOf('    name: String @auth(role: "admin")') + 1, column: 18 }), { source: 'schema.graphql', line: 5, column: 3 }, '05')
+        })
+      })
+    })
+
+    describe('#validateSchema', () => {
+      it('01 - Should return all the problems found in the schema in one pass.', () => {
+        var schema = 'type Node {\n' +
+        '  id: ID!\n' +
+        '}\n' +
+        'type Post inherits Node, Missing {\n' +
+        '  title: String\n' +
+        '  pages: Paged<Post,Node>\n' +
+        '}\n' +
+        'type User {\n' +
+        '  name: [String\n' +
+        '}\n' +
+        'type Comment implements Nope {\n' +
+        '  text: String\n' +
+        '}\n' +
+        'type Paged<T> {\n' +
+        '  data: [T]\n' +
+        '}\n' +
+        'input Name {\n' +
+        '  first: String\n' +
+        '}\n' +
+        'type Person inherits Name {\n' +
+        '  age: Int\n' +
+        '}'
+
+        var errors = validateSchema(schema)
+        assert.deepEqual(errors.map(function(e) { return e.code }), 
+          ['UNKNOWN_TYPE', 'GENERIC_ARITY_MISMATCH', 'SYNTAX_ERROR', 'UNKNOWN_INTERFACE', 'INVALID_INHERITANCE'], '01')
+        assert.deepEqual(errors[0], {
+          code: 'UNKNOWN_TYPE',
+          message: 'Type \'Missing\' cannot be found in the schema.',
+          severity: 'error',
+          path: ['Post'],
+          loc: { start: { line: 4, column: 1 }, end: { line: 7, column: 2 } }
+        }, '02')
+        assert.deepEqual(errors[1].path, ['Post', 'pages'], '03')
+        assert.deepEqual(errors[1].loc.start, { line: 6, column: 3 }, '04')
+        assert.equal(errors[2].message, 'Expected \']\' but found \'}\' at line 10, column 1.', '05')
+        assert.deepEqual(errors[3].path, ['Comment'], '06')
+        assert.equal(errors[4].message, 'type Person cannot inherit from INPUT Name.', '07')
+        assert.deepEqual(validateSchema('type Query { name: String }'), [], '08')
+      })
+      it('02 - Should transpile the valid parts of the schema and return the errors when the \'collectErrors\' option is set.', () => {
+        var schema = 'type Post inherits Missing {\n' +
+        '  title: String\n' +
+        '}\n' +
+        '@orphan'
+
+        var output = transpileSchema(schema, { collectErrors: true })
+        assert.equal(compressString(output.sdl), compressString('type Post { title: String }'), '01')
+        assert.deepEqual(output.errors.map(function(e) { return e.code }), ['UNKNOWN_TYPE', 'MISUSED_METADATA'], '02')
+        assert.throws(() => transpileSchema(schema), 'Schema error: Misused metadata attribute \'@orphan\'. It does not decorate any schema type at line 4, column 1.')
+      })
+      it('03 - Should report the fields and arguments whose type is unknown.', () => {
+        var schema = 'scalar Date\n' +
+        'type Paged<T> {\n' +
+        '  data(first: Int): [T]\n' +
+        '}\n' +
+        'type Node {\n' +
+        '  id: ID!\n' +
+        '  tag: Tag\n' +
+        '}\n' +
+        'type Query inherits Node {\n' +
+        '  a: Foo\n' +
+        '  f(x: Bar, y: [Int!]): Int\n' +
+        '  posts: Paged<Date>\n' +
+        '}'
+
+        var errors = validateSchema(schema)
+        assert.equal(errors.length, 3, '01')
+        assert.deepEqual(errors[0], {
+          code: 'UNKNOWN_TYPE',
+          message: 'Type \'Tag\' cannot be found in the schema.',
+          severity: 'error',
+          path: ['Node', 'tag'],
+          loc: { start: { line: 7, column: 3 }, end: { line: 7, column: 11 } }
+        }, '02')
+        assert.deepEqual(errors[1].path, ['Query', 'a'], '03')
+        assert.deepEqual(errors[1].loc.start, { line: 10, column: 3 }, '04')
+        assert.equal(errors[1].message, 'Type \'Foo\' cannot be found in the schema.', '05')
+        assert.deepEqual(errors[2].path, ['Query', 'f', 'x'], '06')
+        assert.deepEqual(errors[2].loc.start, { line: 11, column: 5 }, '07')
+        assert.equal(errors[2].message, 'Type \'Bar\' cannot be found in the schema.', '08')
+      })
+    })
+
+    describe('#loadSchema', () => {
+      var files = {
+        'schema.graphql': '# import Post from "./blog/post.graphql"\n' +
+          'type Query {\n' +
+          '  posts: Paged<Post>\n' +
+          '}',
+        'blog/post.graphql': '#import "../common.graphql"\n' +
+          'type Post inherits Node {\n' +
+          '  title: String\n' +
+          '}',
+        'common.graphql': 'type Node {\n' +
+          '  id: ID!\n' +
+          '}\n' +
+          'type Paged<T> {\n' +
+          '  data: [T]\n' +
+          '}',
+        'a.graphql': '# import "./b.graphql"\ntype A { a: String }',
+        'b.graphql': '# import * from "./a.graphql"\ntype B { b: String }',
+        'c.graphql': '# import Post, Comment from "./blog/post.graphql"\ntype C { c: String }',
+        'e.graphql': '# import Node from "./common.graphql"\ntype E inherits Node { e: String }'
+      }
+      var readFile = function(file) { 
+        if (!files[file]) 
+          throw new Error('File not found')
+        return files[file]
+      }
+
+      it('01 - Should resolve imports relative to the importing file so that inheritance and generic types work across files.', () => {
+        return loadSchema('./schema.graphql', { readFile: readFile }).then(function(loaded) {
+          assert.deepEqual(loaded.files.map(function(f) { return f.file }), ['common.graphql', 'blog/post.graphql', 'schema.graphql'], '01')
+          var output = transpileSchema(loaded, { sourceMap: true })
+          var answer = compressString(output.sdl)
+          var correct = compressString(`
+          type Node {
+            id: ID!
+          }
+          type Post {
+            title: String
+            id: ID!
+          }
+          type Query {
+            posts: PagedPost
+          }
+          type PagedPost {
+            data: [Post]
+          }`)
+          assert.equal(answer, correct, '02')
+          assert.deepEqual(output.map.sources, ['common.graphql', 'blog/post.graphql', 'schema.graphql'], '03')
+          var lines = output.sdl.split('\n')
+          assert.deepEqual(getOriginalPosition(output.map, { line: lines.indexOf('    title: String') + 1 }), { source: 'blog/post.graphql', line: 3, column: 3 }, '04')
+          assert.deepEqual(getOriginalPosition(output.map, { line: lines.indexOf('    data: [Post]') + 1 }), { source: 'common.graphql', line: 5, column: 3 }, '05')
+        })
+      })
+      it('02 - Should support asynchronous readers and report the file of each error.', () => {
+        var asyncReadFile = function(file) { return Promise.resolve(file == 'd.graphql' ? 'type D inherits Missing {\n  d: String\n}' : readFile(file)) }
+        return loadSchema('d.graphql', { readFile: asyncReadFile }).then(function(loaded) {
+          var errors = validateSchema(loaded)
+          assert.equal(errors.length, 1, '01')
+          assert.equal(errors[0].code, 'UNKNOWN_TYPE', '02')
+          assert.deepEqual(errors[0].loc, { source: 'd.graphql', start: { line: 1, column: 1 }, end: { line: 3, column: 2 } }, '03')
+        })
+      })
+      it('03 - Should detect import cycles.', () => {
+        return loadSchema('a.graphql', { readFile: readFile }).then(function() {
+          assert.fail('The import cycle should have been detected.')
+        }, function(err) {
+          assert.equal(err.message, 'Schema error: Import cycle detected: a.graphql -> b.graphql -> a.graphql.', '01')
+          assert.equal(err.code, 'IMPORT_CYCLE', '02')
+        })
+      })
+      it('04 - Should fail if an imported type is not defined in the imported file.', () => {
+        return loadSchema('c.graphql', { readFile: readFile }).then(function() {
+          assert.fail('The missing import should have been detected.')
+        }, function(err) {
+          assert.equal(err.message, 'Schema error: \'Comment\' is not defined in \'blog/post.graphql\'.', '01')
+          assert.deepEqual(err.loc, { source: 'c.graphql', start: { line: 1, column: 1 }, end: { line: 1, column: 1 } }, '02')
+        })
+      })
+      it('05 - Should include the whole imported file when only some of its definitions are imported.', () => {
+        return loadSchema('e.graphql', { readFile: readFile }).then(function(loaded) {
+          assert.deepEqual(loaded.files.map(function(f) { return f.file }), ['common.graphql', 'e.graphql'], '01')
+          var answer = compressString(transpileSchema(loaded))
+          var correct = compressString(`
+          type Node {
+            id: ID!
+          }
+          type E {
+            e: String
+            id: ID!
+          }`)
+          assert.equal(answer, correct, '02')
+          assert.deepEqual(getSchemaAST(loaded).map(function(t) { return t.name }), ['Node', 'Paged<T>', 'E'], '03')
+        })
+      })
+    })
+
+    describe('#createTranspiler', () => {
+      it('01 - Should cache the results of each transpiler in a bounded cache.', () => {
+        var schema = 'type Paged<T> {\n  data: [T]\n}\ntype Query {\n  users: Paged<String>\n}'
+        var transpiler = createTranspiler({ cacheSize: 2, genericNaming: { separator: '_' } })
+        var output = transpiler.transpileSchema(schema)
+        assert.equal(compressString(output), compressString('type Query { users: Paged_String } type Paged_String { data: [String] }'), '01')
+        assert.equal(transpiler.transpileSchema(schema), output, '02')
+        assert.deepEqual(transpiler.getCacheStats(), { size: 1, maxSize: 2, hits: 1, misses: 1 }, '03')
+        assert.equal(compressString(transpileSchema(schema)), compressString('type Query { users: PagedString } type PagedString { data: [String] }'), '04')
+
+        var ast = transpiler.getSchemaAST(schema)
+        ast[0].name = 'Changed'
+        assert.equal(transpiler.getSchemaAST(schema)[0].name, 'Paged<T>', '05')
+        transpiler.validateSchema(schema)
+        assert.deepEqual(transpiler.getCacheStats(), { size: 2, maxSize: 2, hits: 2, misses: 3 }, '06')
+        transpiler.transpileSchema(schema)
+        assert.equal(transpiler.getCacheStats().misses, 4, '07')
+        transpiler.clearCache()
+        assert.deepEqual(transpiler.getCacheStats(), { size: 0, maxSize: 2, hits: 0, misses: 0 }, '08')
+        assert.throws(() => createTranspiler({ cacheSize: -1 }), 'Invalid argument. \'options.cacheSize\' must be a positive integer or 0.')
+      })
+      it('02 - Should not let a run corrupt another one that is in progress.', () => {
+        var schema = 'type Paged<T> {\n  data: [T]\n}\ntype Query {\n  users: Paged<String>\n  ids: Paged<ID>\n}'
+        var nested = null
+        var output = transpileSchema(schema, { genericNaming: function(name, argNames) { 
+          nested = nested || transpileSchema('type Paged<T> {\n  data: [T]\n}\ntype Query {\n  users: Paged<Int>\n}')
+          return 'My' + name + argNames.join('')
+        } })
+        assert.equal(compressString(output), compressString('type Query { users: MyPagedString ids: MyPagedID } type MyPagedString { data: [String] } type MyPagedID { data: [ID] }'), '01')
+        assert.equal(compressString(nested), compressString('type Query { users: PagedInt } type PagedInt { data: [Int] }'), '02')
+      })
+      it('03 - Should incrementally update a type and list the types that have changed.', () => {
+        var schema = 'type Person {\n  name: String\n}\ntype Student inherits Person {\n  school: String\n}\ntype Paged<T> {\n  data: [T]\n}\ntype Query {\n  students: Paged<Student>\n}'
+        var transpiler = createTranspiler()
+        assert.throws(() => transpiler.update('Person', 'type Person {\n  age: Int\n}'), 'Nothing to update. A schema must be transpiled with \'transpileSchema\' first.')
+        transpiler.transpileSchema(schema)
+
+        var output = transpiler.update('Person', 'type Person {\n  name: String\n  age: Int\n}')
+        assert.equal(compressString(output.sdl), compressString('type Person { name: String age: Int } type Student { school: String name: String age: Int } type Query { students: PagedStudent } type PagedStudent { data: [Student] }'), '01')
+        assert.deepEqual(output.changedTypes, ['Person', 'Student'], '02')
+
+        output = transpiler.update('Query', 'type Query {\n  students: Paged<Student>\n  people: Paged<Person>\n}')
+        assert.equal(compressString(output.sdl), compressString('type Person { name: String age: Int } type Student { school: String name: String age: Int } type Query { students: PagedStudent people: PagedPerson } type PagedStudent { data: [Student] } type PagedPerson { data: [Person] }'), '03')
+        assert.deepEqual(output.changedTypes, ['Query', 'PagedPerson'], '04')
+
+        assert.throws(() => transpiler.update('Query', 'type Query {\n  students: Paged<Teacher>\n}'), 'Schema error: Type \'Teacher\' cannot be found in the schema.')
+        output = transpiler.update(null, schema)
+        assert.equal(compressString(output.sdl), compressString(transpileSchema(schema)), '05')
+        assert.deepEqual(output.changedTypes, ['Person', 'Student', 'Query', 'PagedPerson'], '06')
+      })
+      it('04 - Should collect the errors of an update when the \'collectErrors\' option is set.', () => {
+        var schema = 'type Person {\n  name: String\n}\ntype Student inherits Person {\n  school: String\n}\ntype Paged<T> {\n  data: [T]\n}\ntype Query {\n  students: Paged<Student>\n}'
+        var transpiler = createTranspiler({ collectErrors: true })
+        transpiler.transpileSchema(schema)
+
+        var edited = schema.replace('students: Paged<Student>', 'students: Paged<Teacher>')
+        var output = transpiler.update('Query', 'type Query {\n  students: Paged<Teacher>\n}')
+        var expected = transpileSchema(edited, { collectErrors: true })
+        assert.equal(output.sdl, expected.sdl, '01')
+        assert.deepEqual(output.errors, expected.errors, '02')
+        assert.deepEqual(output.errors.map(e => e.code), ['UNKNOWN_TYPE'], '03')
+
+        edited = edited.replace('name: String\n', 'name: String\n  age: Int\n')
+        output = transpiler.update('Person', 'type Person {\n  name: String\n  age: Int\n}')
+        expected = transpileSchema(edited, { collectErrors: true })
+        assert.equal(output.sdl, expected.sdl, '04')
+        assert.deepEqual(output.errors, expected.errors, '05')
+        assert.deepEqual(output.changedTypes, ['Person', 'Student'], '06')
+
+        edited = edited.replace('students: Paged<Teacher>', 'students: Paged<Student>')
+        output = transpiler.update('Query', 'type Query {\n  students: Paged<Student>\n}')
+        expected = transpileSchema(edited, { collectErrors: true })
+        assert.equal(output.sdl, expected.sdl, '07')
+        assert.deepEqual(output.errors, [], '08')
+        assert.deepEqual(output.changedTypes, ['Query', 'PagedStudent', 'PagedTeacher'], '09')
+      })
+      it('05 - Should only re-process the updated types and the types depending on them.', () => {
+        var schema = 'type Person {\n  name: String\n}\ntype Student inherits Person {\n  friends: Paged<Person>\n}\ntype Teacher {\n  mentor: Person\n  classes: Paged<Class>\n}\ntype Class {\n  name: String\n}\ntype Paged<T> {\n  data: [T]\n}\ntype Query {\n  students: Paged<Student>\n  teachers: [Teacher]\n}'
+        var named = []
+        var transpiler = createTranspiler({ genericNaming: function(name, argNames) { 
+          named.push(name + '<' + argNames.join(',') + '>')
+          return name + argNames.join('')
+        } })
+        transpiler.transpileSchema(schema)
+        assert.deepEqual(named, ['Paged<Person>', 'Paged<Class>', 'Paged<Student>'], '01')
+
+        named = []
+        var output = transpiler.update('Person', 'type Person {\n  name: String\n  age: Int\n}')
+        assert.equal(output.sdl, transpileSchema(schema.replace('name: String\n}\ntype Student', 'name: String\n  age: Int\n}\ntype Student')), '02')
+        assert.deepEqual(output.changedTypes, ['Person', 'Student'], '03')
+        // Only 'Student' inherits from 'Person'. 'Teacher' and 'Query' only refer to it or to its generic types.
+        assert.deepEqual(named, ['Paged<Person>'], '04')
+
+        named = []
+        output = transpiler.update('Class', 'type Class {\n  name: String\n  room: Int\n}')
+        assert.deepEqual(output.changedTypes, ['Class'], '05')
+        assert.deepEqual(named, [], '06')
+      })
+    })
+
+    describe('#transpileToDocument', () => {
+      it('01 - Should return the graphql.js document of the transpiled schema.', () => {
+        var output = transpileToDocument('type Paged<T> {\n  data: [T]\n}\ntype Query {\n  users: Paged<String>\n}')
+        assert.equal(output.kind, 'Document', '01')
+        assert.deepEqual(output.definitions.map(d => d.kind + ':' + d.name.value), ['ObjectTypeDefinition:Query', 'ObjectTypeDefinition:PagedString'], '02')
+        assert.deepEqual(output.definitions[1].fields.map(f => f.name.value), ['data'], '03')
+      })
+      it('02 - Should support descriptions and interfaces implementing interfaces.', () => {
+        var schema = `
+        """
+        Any object with an ID.
+        """
+        interface Node {
+          id: ID
+        }
+        "A person."
+        interface Person inherits Node {
+          "Full name."
+          name: String
+        }
+        type Student inherits Person {
+          school(
+            "Whether to include the campus."
+            withCampus: Boolean = false
+          ): String
+        }`
+        var output = transpileToDocument(schema, { implementInheritedInterfaces: true })
+        assert.deepEqual(output.definitions.map(d => d.name.value + ':' + (d.description ? d.description.value : '')), ['Node:Any object with an ID.', 'Person:A person.', 'Student:'], '01')
+        assert.deepEqual(output.definitions[1].interfaces.map(i => i.name.value), ['Node'], '02')
+        assert.deepEqual(output.definitions[2].interfaces.map(i => i.name.value), ['Person', 'Node'], '03')
+        assert.equal(output.definitions[1].fields[0].description.value, 'Full name.', '04')
+        assert.equal(output.definitions[2].fields[0].arguments[0].description.value, 'Whether to include the campus.', '05')
+      })
+    })
+
+    describe('#buildEnrichedSchema', () => {
+      it('01 - Should attach the metadata to the extensions of the types and fields, and add the resolvers.', () => {
+        var schema = `
+        @node
+        interface Node {
+          id: ID
+        }
+        @auth(roles: ["admin"])
+        type Post implements Node {
+          id: ID
+          @edge('<-[ABOUT]-')
+          author: String
+        }
+        extend type Post {
+          @xyz(level: 2)
+          title: String
+        }
+        type Query {
+          posts: [Post]
+        }`
+        var posts = () => []
+        var output = buildEnrichedSchema(schema, { Query: { posts: posts } })
+        var post = output.getType('Post')
+        assert.deepEqual(output.getType('Node').extensions, { metadata: { node: { name: 'node', body: '', args: null } } }, '01')
+        assert.deepEqual(post.extensions, { metadata: { auth: { name: 'auth', body: '(roles: ["admin"])', args: { roles: ['admin'] } } } }, '02')
+        assert.deepEqual(post.getFields().author.extensions, { metadata: { edge: { name: 'edge', body: '(\'<-[ABOUT]-\')', args: null } } }, '03')
+        assert.deepEqual(post.getFields().title.extensions.metadata.xyz.args, { level: 2 }, '04')
+        assert.isNotOk(post.getFields().id.extensions, '05')
+        assert.equal(output.getType('Query').getFields().posts.resolve, posts, '06')
+        assert.equal(output.getType('Node').resolveType({ id: 1, author: 'Marc' }), 'Post', '07')
+        assert.throws(() => buildEnrichedSchema(schema, { Query: { users: posts } }), 'Invalid argument. \'resolvers.Query.users\' does not match any field of type \'Query\'.')
+      })
+      it('02 - Should keep the descriptions of the types, fields and arguments.', () => {
+        var schema = `
+        """
+        Any object with an ID.
+        """
+        interface Node {
+          id: ID
+        }
+        "A person."
+        @auth(roles: ["admin"])
+        interface Person inherits Node {
+          "Full name."
+          name: String
+        }
+        type Student inherits Person {
+          """
+          School's name.
+          """
+          school(
+            "Whether to include the campus."
+            withCampus: Boolean = false
+          ): String
+        }
+        extend type Student {
+          "Grade."
+          grade: Int
+        }
+        type Query {
+          students: [Student]
+        }`
+        var output = buildEnrichedSchema(schema, null, { implementInheritedInterfaces: true })
+        var person = output.getType('Person')
+        var student = output.getType('Student')
+        assert.equal(output.getType('Node').description, 'Any object with an ID.', '01')
+        assert.equal(person.description, 'A person.', '02')
+        assert.equal(person.getFields().name.description, 'Full name.', '03')
+        assert.deepEqual(person.getInterfaces().map(String), ['Node'], '04')
+        assert.deepEqual(person.extensions.metadata.auth.args, { roles: ['admin'] }, '05')
+        assert.deepEqual(student.getInterfaces().map(String), ['Person', 'Node'], '06')
+        assert.equal(student.getFields().school.description, 'School\'s name.', '07')
+        assert.equal(student.getFields().school.args[0].description, 'Whether to include the campus.', '08')
+        assert.equal(student.getFields().grade.description, 'Grade.', '09')
+      })
+      it('03 - Should attach all the metadata of the types and fields, including the inherited ones.', () => {
+        var schema = `
+        interface Node {
+          id: ID
+        }
+        @node
+        @auth(roles: ["admin"])
+        type Person implements Node {
+          id: ID
+          @edge('<-[FRIEND]-')
+          @auth(roles: ["admin"])
+          friends: [Person]
+        }
+        type Student inherits Person {
+          @auth(roles: ["teacher"])
+          friends: [Person]
+        }
+        type Query {
+          students: [Student]
+        }`
+        var output = buildEnrichedSchema(schema, null, { metadataMerge: { auth: 'append' } })
+        var person = output.getType('Person')
+        var student = output.getType('Student')
+        assert.deepEqual(Object.keys(person.extensions.metadata), ['node', 'auth'], '01')
+        assert.deepEqual(Object.keys(person.getFields().friends.extensions.metadata), ['edge', 'auth'], '02')
+        assert.deepEqual(person.getFields().friends.extensions.metadata.auth.args, { roles: ['admin'] }, '03')
+        assert.deepEqual(Object.keys(student.getFields().friends.extensions.metadata), ['auth'], '04')
+        assert.deepEqual(student.getFields().friends.extensions.metadata.auth.args, { roles: ['admin', 'teacher'] }, '05')
+
+        var friends = getSchemaAST(schema).find(x => x.name == 'Person').blockProps.find(prop => prop.details.name == 'friends')
+        assert.equal(friends.details.metadata.name, 'edge', '06')
+        assert.deepEqual(friends.details.allMetadata.map(m => m.name), ['edge', 'auth'], '07')
+      })
+      it('04 - Should attach the metadata of the generic types to the extensions of their concrete types.', () => {
+        var schema = `
+        @page
+        type Base {
+          count: Int
+        }
+        @node
+        type Paged<T> inherits Base {
+          @edge('<-[IN]-')
+          @auth(roles: ["admin"])
+          data: [T]
+          @auth(roles: ["admin"])
+          cursor: String
+        }
+        type Query {
+          names: Paged<String>
+        }`
+        var output = buildEnrichedSchema(schema)
+        var paged = output.getType('PagedString')
+        assert.deepEqual(Object.keys(paged.extensions.metadata), ['node', 'page'], '01')
+        assert.deepEqual(Object.keys(paged.getFields().data.extensions.metadata), ['edge', 'auth'], '02')
+        assert.deepEqual(paged.getFields().cursor.extensions.metadata.auth.args, { roles: ['admin'] }, '03')
+        assert.equal(getSchemaAST(schema).find(x => x.name == 'PagedString').metadata.name, 'node', '04')
+      })
     })
 
     describe('#isTypeGeneric', () =>
@@ -1612,6 +3247,9 @@ var runtest = function(s2s, assert) {
         assert.isOk(!isTypeGeneric('Product', 'T'), '\'Product\', \'T\' should NOT work.')
         assert.isOk(!isTypeGeneric('Paged<Product>', 'T'), '\'Paged<Product>\', \'T\' should NOT work.')
         assert.isOk(!isTypeGeneric('[Paged<Product>]', 'T'), '\'[Paged<Product>]\', \'T\' should NOT work.')
+        assert.isOk(isTypeGeneric('Paged<Edge<T>>', 'T'), '\'Paged<Edge<T>>\', \'T\' should work.')
+        assert.isOk(isTypeGeneric('Map<String,[T!]>', 'T'), '\'Map<String,[T!]>\', \'T\' should work.')
+        assert.isOk(!isTypeGeneric('Paged<Edge<Product>>', 'T'), '\'Paged<Edge<Product>>\', \'T\' should NOT work.')
       }))
 
     describe('#extractGraphMetadata: EXTRACT METADATA', () =>
@@ -1735,7 +3373,7 @@ var runtest = function(s2s, assert) {
           cursor: ID
         }
         type Post {
-          name
+          name: String
         }
         type User {
           username: String!
@@ -1867,6 +3505,42 @@ var runtest = function(s2s, assert) {
           var queryAST = getQueryAST(query, null, schemaAST)
           assert.isOk(queryAST, '01')
       })
+      it('05 - LOCATIONS: Should add the source location of every type, property, argument, metadata and directive.', () => {
+        var schema = 'directive @auth(role: String) on FIELD_DEFINITION\n' +
+        '@node\n' +
+        'type Post {\n' +
+        '  @brand\n' +
+        '  id: ID!\n' +
+        '  comments(first: Int = 10): [String] @auth(role: "x")\n' +
+        '}\n' +
+        'type Paged<T> {\n' +
+        '  data: [T]\n' +
+        '}\n' +
+        'type Query {\n' +
+        '  posts: Paged<Post>\n' +
+        '}'
+
+        var schemaAST = getSchemaAST(schema)
+        var post = schemaAST.find(function(x) { return x.name == 'Post' })
+        assert.deepEqual(post.loc, { start: { line: 3, column: 1 }, end: { line: 7, column: 2 } }, '01')
+        assert.deepEqual(post.metadata.loc, { start: { line: 2, column: 1 }, end: { line: 2, column: 6 } }, '02')
+        var id = post.blockProps[0].details
+        assert.deepEqual(id.loc, { start: { line: 5, column: 3 }, end: { line: 5, column: 10 } }, '03')
+        assert.deepEqual(id.metadata.loc, { start: { line: 4, column: 3 }, end: { line: 4, column: 9 } }, '04')
+        var comments = post.blockProps[1].details
+        assert.deepEqual(comments.loc, { start: { line: 6, column: 3 }, end: { line: 6, column: 55 } }, '05')
+        assert.equal(comments.args.length, 1, '06')
+        assert.equal(comments.args[0].name, 'first', '07')
+        assert.equal(comments.args[0].defaultValue, '10', '08')
+        assert.deepEqual(comments.args[0].loc, { start: { line: 6, column: 12 }, end: { line: 6, column: 27 } }, '09')
+        assert.equal(comments.directives[0].raw, '@auth(role: "x")', '10')
+        assert.deepEqual(comments.directives[0].loc, { start: { line: 6, column: 39 }, end: { line: 6, column: 55 } }, '11')
+        var pagedPost = schemaAST.find(function(x) { return x.name == 'PagedPost' })
+        assert.deepEqual(pagedPost.loc, { start: { line: 8, column: 1 }, end: { line: 10, column: 2 } }, '12')
+        assert.deepEqual(pagedPost.blockProps[0].details.loc, { start: { line: 9, column: 3 }, end: { line: 9, column: 12 } }, '13')
+        var auth = schemaAST.find(function(x) { return x.type == 'DIRECTIVE' })
+        assert.deepEqual(auth.loc, { start: { line: 1, column: 1 }, end: { line: 1, column: 50 } }, '14')
+      })
     })
 
     describe('#getQueryAST', () => {
@@ -47,6 +47,10 @@ module.exports = {
 			}
 		}, ]
 	},
+	// graphql.js is only required by 'transpileToDocument' and 'buildEnrichedSchema', which then use the global 'graphql'.
+	externals: {
+		graphql: { commonjs: 'graphql', commonjs2: 'graphql', amd: 'graphql', root: 'graphql' }
+	},
 	devtool: 'source-map',
 	plugins: plugins,
 	optimization: {